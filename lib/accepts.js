@@ -0,0 +1,115 @@
+const mimeTypes = require('./constants/mime')
+
+/**
+ * Function picks the type a request accepts best out of the types given.
+ *
+ * Types are media types, application/json, or extensions, json. Each is
+ * rated by the most specific media range in Accept that covers it, then
+ * ordered by q-value, by how specific that range is, by the range's place
+ * in Accept and last by the order the types are given in. Types the header
+ * gives a q of 0 are not accepted. Without an Accept header any type is.
+ *
+ * Without types the media types in Accept are returned, most preferred first.
+ *
+ * @param {string} header       | Accept header
+ * @param {array} types         | optional
+ * @return {string|array|false} | the type as it was given, false if none is accepted
+ *
+ */
+module.exports = function (header, types = []) {
+    var ranges = parse(header == null ? '*/*' : header)
+
+    if (types.length == 0) {
+        return ranges.filter(function (range) {
+            return range.q > 0
+        }).sort(compare).map(function (range) {
+            return range.type + '/' + range.subtype
+        })
+    }
+
+    var rated = types.map(function (type, i) {
+        var mime = String(type).indexOf('/') < 0 ? mimeTypes[String(type).toLowerCase()] : type
+        var range = mime != null ? bestRange(mime.toLowerCase(), ranges) : null
+
+        return range != null && range.q > 0 ? { type: type, q: range.q, s: range.s, i: range.i, o: i } : null
+    }).filter(function (rating) {
+        return rating != null
+    }).sort(compare)
+
+    return rated.length > 0 ? rated[0].type : false
+}
+
+/**
+ * Function parses the media ranges of an Accept header.
+ * Ranges that are not of the form type/subtype are left out.
+ *
+ * Each range is of format:
+ * {
+ *   type:      string, * for any
+ *   subtype:   string, * for any
+ *   q:         number from 0 to 1
+ *   s:         specificity, 0 for any type, 1 for type/* and 2 for type/subtype
+ *   i:         place in the header
+ * }
+ *
+ * @param {string} header
+ * @return {array}
+ *
+ */
+function parse(header) {
+    return String(header).split(',').map(function (part, i) {
+        var params = part.split(';')
+        var match = /^\s*([\w.+*-]+)\/([\w.+*-]+)\s*$/.exec(params.shift())
+
+        if (match == null || (match[1] == '*' && match[2] != '*')) {
+            return null
+        }
+
+        var q = 1
+
+        params.forEach(function (param) {
+            var value = /^\s*q\s*=\s*([\d.]+)\s*$/i.exec(param)
+
+            if (value != null) {
+                q = Math.min(Math.max(Number(value[1]) || 0, 0), 1)
+            }
+        })
+
+        var type = match[1].toLowerCase()
+        var subtype = match[2].toLowerCase()
+
+        return { type: type, subtype: subtype, q: q, s: type == '*' ? 0 : subtype == '*' ? 1 : 2, i: i }
+    }).filter(function (range) {
+        return range != null
+    })
+}
+
+/**
+ * Function finds the most specific range that covers a media type.
+ *
+ * @param {string} mime
+ * @param {array} ranges
+ * @return {object|null}
+ *
+ */
+function bestRange(mime, ranges) {
+    var [type, subtype] = mime.split('/')
+
+    return ranges.filter(function (range) {
+        return (range.type == '*' || range.type == type) && (range.subtype == '*' || range.subtype == subtype)
+    }).sort(function (a, b) {
+        return b.s - a.s || a.i - b.i
+    })[0] || null
+}
+
+/**
+ * Function orders ratings and ranges from most to least preferred.
+ *
+ * @param {object} a
+ * @param {object} b
+ * @return {number}
+ *
+ */
+function compare(a, b) {
+    return b.q - a.q || b.s - a.s || a.i - b.i || (a.o || 0) - (b.o || 0)
+}
@@ -0,0 +1,348 @@
+/**
+ * Body parsing middleware, opt in with router.use(Router.json()) or router.use(Router.urlencoded()).
+ *
+ * options:
+ * {
+ *   limit:     largest body accepted, in bytes or as a string such as '100kb' (default 100kb)
+ *   type:      media type parsed (default application/json or application/x-www-form-urlencoded)
+ * }
+ *
+ * A request without a body or of another type is passed on untouched, as is
+ * one whose body was already parsed. Errors are passed to next with a status:
+ * 413 for a body over the limit, 415 for a charset or content encoding that
+ * can not be read and 400 for a body that can not be parsed.
+ */
+const DEFAULT_LIMIT = 100 * 1024
+
+const UNITS = {
+    b: 1,
+    kb: 1024,
+    mb: 1024 * 1024,
+    gb: 1024 * 1024 * 1024
+}
+
+
+/**
+ * Function creates middleware that parses JSON bodies into req.body.
+ * An empty body is read as an empty object.
+ *
+ * @param {object} options      | optional
+ * @return {function}
+ *
+ */
+function json(options = {}) {
+    var type = options.type || 'application/json'
+    var limit = bytes(options.limit)
+
+    return function (req, res, next) {
+        readBody(req, type, limit, function (err, text) {
+            if (err != null || text == null) {
+                return next(err)
+            }
+
+            try {
+                req.body = text.trim().length > 0 ? JSON.parse(text) : {}
+            } catch (err) {
+                return next(httpError(400, `Invalid JSON in request body: ${err.message}`))
+            }
+
+            next()
+        })
+    }
+}
+
+/**
+ * Function creates middleware that parses urlencoded form bodies into req.body.
+ * A name given more than once gets an array of its values. Values are
+ * decoded with the charset of the request.
+ *
+ * @param {object} options      | optional
+ * @return {function}
+ *
+ */
+function urlencoded(options = {}) {
+    var type = options.type || 'application/x-www-form-urlencoded'
+    var limit = bytes(options.limit)
+
+    return function (req, res, next) {
+        readBody(req, type, limit, function (err, text, raw, decoder) {
+            if (err != null || text == null) {
+                return next(err)
+            }
+
+            req.body = parseForm(raw, decoder)
+            next()
+        })
+    }
+}
+
+/**
+ * Function reads the body of a request of a media type.
+ *
+ * callback is called with (err, text, raw, decoder). text is null when
+ * the request has no body, is of another type or was already parsed.
+ *
+ * @param {ClientRequest} req
+ * @param {string} type
+ * @param {number} limit
+ * @param {function} callback
+ *
+ */
+function readBody(req, type, limit, callback) {
+    if (req.body !== undefined || !hasBody(req) || contentType(req.headers['content-type']).type != type.toLowerCase()) {
+        return callback(null, null)
+    }
+
+    var refused = refuseBody(req, limit)
+
+    if (refused != null) {
+        return callback(refused)
+    }
+
+    var charset = contentType(req.headers['content-type']).charset || 'utf-8'
+    var decoder
+
+    try {
+        decoder = new TextDecoder(charset)
+    } catch (err) {
+        return callback(httpError(415, `Unsupported charset ${charset}`))
+    }
+
+    var chunks = []
+    var received = 0
+    var done = false
+
+    req.on('data', onData)
+    req.on('end', onEnd)
+    req.on('error', onError)
+    req.on('close', onClose)
+
+    function onData(chunk) {
+        received += chunk.length
+
+        if (received > limit) {
+            // the rest of the body is read and dropped
+            finish(httpError(413, 'Request body is too large'))
+            req.resume()
+            return
+        }
+
+        chunks.push(chunk)
+    }
+
+    function onEnd() {
+        var raw = Buffer.concat(chunks)
+        finish(null, decoder.decode(raw), raw, decoder)
+    }
+
+    function onError(err) {
+        finish(httpError(400, `Request body could not be read: ${err.message}`))
+    }
+
+    function onClose() {
+        finish(httpError(400, 'Request aborted'))
+    }
+
+    function finish(err, text, raw, decoder) {
+        if (done) {
+            return
+        }
+
+        done = true
+        chunks = []
+
+        req.removeListener('data', onData)
+        req.removeListener('end', onEnd)
+        req.removeListener('error', onError)
+        req.removeListener('close', onClose)
+
+        callback(err, text, raw, decoder)
+    }
+}
+
+/**
+ * Function parses the pairs of a urlencoded body.
+ * Percent-encoding is undone on the bytes so values in any charset are decoded whole.
+ *
+ * @param {Buffer} raw
+ * @param {TextDecoder} decoder
+ * @return {object}
+ *
+ */
+function parseForm(raw, decoder) {
+    var body = Object.create(null)
+
+    splitBytes(raw, 0x26).forEach(function (pair) {
+        if (pair.length == 0) {
+            return
+        }
+
+        var equals = pair.indexOf(0x3d)
+        var name = unescape(equals < 0 ? pair : pair.subarray(0, equals), decoder)
+        var value = equals < 0 ? '' : unescape(pair.subarray(equals + 1), decoder)
+
+        if (body[name] === undefined) {
+            body[name] = value
+        } else {
+            body[name] = [].concat(body[name], value)
+        }
+    })
+
+    return body
+}
+
+/**
+ * Function splits a buffer at every byte of a value.
+ *
+ * @param {Buffer} raw
+ * @param {number} separator
+ * @return {array}
+ *
+ */
+function splitBytes(raw, separator) {
+    var parts = []
+    var start = 0
+
+    for (var i = 0; i <= raw.length; i++) {
+        if (i == raw.length || raw[i] == separator) {
+            parts.push(raw.subarray(start, i))
+            start = i + 1
+        }
+    }
+
+    return parts
+}
+
+/**
+ * Function decodes a urlencoded name or value, + is a space and %XX a byte.
+ *
+ * @param {Buffer} raw
+ * @param {TextDecoder} decoder
+ * @return {string}
+ *
+ */
+function unescape(raw, decoder) {
+    var bytes = []
+
+    for (var i = 0; i < raw.length; i++) {
+        var hex = raw[i] == 0x25 ? raw.toString('latin1', i + 1, i + 3) : ''
+
+        if (/^[\da-f]{2}$/i.test(hex)) {
+            bytes.push(parseInt(hex, 16))
+            i += 2
+        } else {
+            bytes.push(raw[i] == 0x2b ? 0x20 : raw[i])
+        }
+    }
+
+    return decoder.decode(Buffer.from(bytes))
+}
+
+/**
+ * Function tells if a request has a body, from its Content-Length or Transfer-Encoding.
+ *
+ * @param {ClientRequest} req
+ * @return {boolean}
+ *
+ */
+function hasBody(req) {
+    return req.headers['transfer-encoding'] !== undefined || parseInt(req.headers['content-length'], 10) > 0
+}
+
+/**
+ * Function checks the headers of a request before its body is read. It gives
+ * a 415 for a content encoding that can not be read and a 413 for a body that
+ * says it is over the limit, which is then dropped, or null if the body can be read.
+ *
+ * @param {ClientRequest} req
+ * @param {number} limit
+ * @return {Error|null}
+ *
+ */
+function refuseBody(req, limit) {
+    var encoding = String(req.headers['content-encoding'] || 'identity').toLowerCase()
+
+    if (encoding != 'identity') {
+        return httpError(415, `Unsupported content encoding ${encoding}`)
+    }
+
+    // refuse a body that says it is too large before reading any of it
+    if (parseInt(req.headers['content-length'], 10) > limit) {
+        req.resume()
+        return httpError(413, 'Request body is too large')
+    }
+
+    return null
+}
+
+/**
+ * Function reads the media type and parameters of a Content-Type header.
+ *
+ * @param {string} header
+ * @return {object}             | { type, charset, params }, type is lowercase
+ *
+ */
+function contentType(header) {
+    var parts = String(header || '').split(';')
+    var params = {}
+
+    parts.slice(1).forEach(function (part) {
+        var equals = part.indexOf('=')
+
+        if (equals > 0) {
+            params[part.substr(0, equals).trim().toLowerCase()] = part.substr(equals + 1).trim().replace(/^"(.*)"$/, '$1')
+        }
+    })
+
+    return { type: parts[0].trim().toLowerCase(), charset: params.charset || null, params: params }
+}
+
+/**
+ * Function reads a size limit, a number of bytes or a string such as 100kb or 1.5mb.
+ *
+ * @param {number|string} limit     | optional
+ * @return {number}
+ *
+ */
+function bytes(limit) {
+    if (limit == null) {
+        return DEFAULT_LIMIT
+    }
+
+    if (typeof limit == 'number') {
+        return limit
+    }
+
+    var match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(limit))
+
+    if (match == null) {
+        throw new Error(`Invalid size limit ${limit}`)
+    }
+
+    return Math.floor(Number(match[1]) * UNITS[(match[2] || 'b').toLowerCase()])
+}
+
+/**
+ * Function creates an error with the status the request is answered with.
+ *
+ * @param {number} status
+ * @param {string} message
+ * @return {Error}
+ *
+ */
+function httpError(status, message) {
+    var err = new Error(message)
+    err.status = status
+
+    return err
+}
+
+module.exports = {
+    json: json,
+    urlencoded: urlencoded,
+    bytes: bytes,
+    contentType: contentType,
+    hasBody: hasBody,
+    refuseBody: refuseBody,
+    httpError: httpError
+}
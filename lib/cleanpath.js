@@ -0,0 +1,20 @@
+var normalize = require('path').posix.normalize
+
+/**
+ * Function cleans a url path into its canonical form.
+ *
+ * Duplicate slashes are collapsed and . and .. segments are resolved,
+ * .. never steps above the root. A trailing slash is kept.
+ *
+ * @param {string} path
+ * @return {string}
+ *
+ */
+module.exports = function (path) {
+    // only absolute paths are cleaned, leaves OPTIONS * alone
+    if (path[0] != '/') {
+        return path
+    }
+
+    return normalize(path)
+}
\ No newline at end of file
@@ -0,0 +1,31 @@
+var STATUS_CODES = require('http').STATUS_CODES
+
+/**
+ * Function for generic error response.
+ * Used when an error reaches the end of the error handling stack.
+ *
+ * Errors may carry a status (or statusCode) between 400 and 599,
+ * anything else is answered with a 500.
+ *
+ * @param {ClientRequest} req
+ * @param {ServerResponse} res
+ * @param {Error} err
+ *
+ */
+module.exports = function (req, res, err) {
+    var status = err && (err.status || err.statusCode)
+
+    if (typeof status !== 'number' || status < 400 || status > 599) {
+        status = 500
+    }
+
+    // response has already started, end it so the socket is not left open
+    if (res.headersSent) {
+        res.end()
+        return
+    }
+
+    res.statusCode = status
+    res.setHeader('Content-Type', 'text/plain')
+    res.end(STATUS_CODES[status])
+}
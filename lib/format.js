@@ -0,0 +1,71 @@
+var accepts = require('./accepts')
+var notFound = require('./notfound')
+
+const mimeTypes = require('./constants/mime')
+
+/**
+ * Function responds with the handler for the type the request accepts best.
+ *
+ * handlers are keyed by media type or extension, with default for requests
+ * that accept none of them:
+ * {
+ *   'application/json': function (req, res) { ... },
+ *   html: function (req, res) { ... },
+ *   default: function (req, res) { ... }
+ * }
+ *
+ * Vary: Accept is set as the response depends on the header. The chosen
+ * type is set as the Content-Type before its handler is called. Without a
+ * match or default the request is answered with a 406.
+ *
+ * @param {ClientRequest} req
+ * @param {ServerResponse} res
+ * @param {object} handlers
+ * @return {*}                  | what the handler returns
+ *
+ */
+module.exports = function (req, res, handlers) {
+    var types = Object.keys(handlers).filter(function (type) {
+        return type != 'default'
+    })
+
+    vary(res, 'Accept')
+
+    var type = accepts(req.headers.accept, types)
+
+    if (type !== false) {
+        res.setHeader('Content-Type', type.indexOf('/') < 0 ? mimeTypes[type.toLowerCase()] : type)
+        return handlers[type](req, res)
+    }
+
+    if (typeof handlers.default == 'function') {
+        return handlers.default(req, res)
+    }
+
+    notFound(req, res, 406, 'Not Acceptable')
+}
+
+/**
+ * Function adds a header name to the Vary header, keeping any already there.
+ *
+ * @param {ServerResponse} res
+ * @param {string} name
+ *
+ */
+function vary(res, name) {
+    var current = String(res.getHeader('Vary') || '')
+
+    var names = current.split(',').map(function (value) {
+        return value.trim()
+    }).filter(function (value) {
+        return value.length > 0
+    })
+
+    if (names.includes('*') || names.some(function (value) { return value.toLowerCase() == name.toLowerCase() })) {
+        return
+    }
+
+    res.setHeader('Vary', names.concat(name).join(', '))
+}
+
+module.exports.vary = vary
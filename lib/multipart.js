@@ -0,0 +1,543 @@
+var fs = require('fs')
+var os = require('os')
+var path = require('path')
+var crypto = require('crypto')
+var stream = require('stream')
+var body = require('./body')
+
+/**
+ * Multipart form middleware, opt in with router.use(Router.multipart()).
+ *
+ * options:
+ * {
+ *   limit:     largest body accepted, in bytes or as a string such as '10mb' (default 10mb)
+ *   fileSize:  largest file accepted (default 5mb)
+ *   fieldSize: largest text field accepted (default 100kb)
+ *   files:     most files accepted in one request (default 10)
+ *   dest:      directory files are written to (default the temp directory of the os)
+ *   onFile:    function (stream, file, req) that reads each file instead of it being written to dest
+ * }
+ *
+ * Text fields are put in req.body and files in req.files by their name, a name
+ * given more than once gets an array. Each file is of format:
+ * {
+ *   field:     name of the form field
+ *   filename:  name the client gave the file, without any path
+ *   type:      media type the client gave the file
+ *   size:      bytes
+ *   path:      where the file was written, left out when onFile reads it
+ * }
+ *
+ * Files written to dest are left to the handler to move or remove. When the
+ * request fails or is aborted before it is read they are removed, and the
+ * streams given to onFile are destroyed.
+ *
+ * The stream given to onFile has to be read to its end, the body is read no
+ * faster than it is. next is called once every stream has ended and any
+ * promise onFile returns has resolved.
+ *
+ * Errors are passed to next with a status: 413 for a body, file or field over
+ * its limit or too many files, 415 for a content encoding or charset that can
+ * not be read and 400 for a body that can not be parsed.
+ */
+const DEFAULT_LIMIT = '10mb'
+const DEFAULT_FILE_SIZE = '5mb'
+const DEFAULT_FILES = 10
+
+// parts whose headers do not end within this many bytes are refused
+const HEADER_LIMIT = 16 * 1024
+
+const CRLF = Buffer.from('\r\n')
+const HEADER_END = Buffer.from('\r\n\r\n')
+
+// parser states, the preamble before the first boundary, the line after a
+// boundary, the headers of a part, its body and the epilogue after the last boundary
+const PREAMBLE = 0
+const BOUNDARY = 1
+const HEADERS = 2
+const BODY = 3
+const EPILOGUE = 4
+
+
+/**
+ * Function creates middleware that parses multipart/form-data bodies into req.body and req.files.
+ *
+ * @param {object} options      | optional
+ * @return {function}
+ *
+ */
+module.exports = function (options = {}) {
+    var settings = {
+        limit: body.bytes(options.limit || DEFAULT_LIMIT),
+        fileSize: body.bytes(options.fileSize || DEFAULT_FILE_SIZE),
+        fieldSize: body.bytes(options.fieldSize),
+        files: options.files != null ? options.files : DEFAULT_FILES,
+        dest: options.dest || os.tmpdir(),
+        onFile: options.onFile || null
+    }
+
+    if (settings.onFile != null && typeof settings.onFile != 'function') {
+        throw new Error("onFile has to be a function")
+    }
+
+    return function (req, res, next) {
+        var type = body.contentType(req.headers['content-type'])
+
+        if (req.body !== undefined || !body.hasBody(req) || type.type != 'multipart/form-data') {
+            return next()
+        }
+
+        var boundary = type.params.boundary
+
+        if (!boundary || boundary.length > 70) {
+            return next(body.httpError(400, 'Multipart body without a valid boundary'))
+        }
+
+        var refused = body.refuseBody(req, settings.limit)
+
+        if (refused != null) {
+            return next(refused)
+        }
+
+        parse(req, boundary, settings, function (err, fields, files) {
+            if (err != null) {
+                return next(err)
+            }
+
+            req.body = fields
+            req.files = files
+            next()
+        })
+    }
+}
+
+/**
+ * Function reads the parts of a multipart body as it streams in.
+ *
+ * callback is called once with (err, fields, files).
+ *
+ * @param {ClientRequest} req
+ * @param {string} boundary
+ * @param {object} settings
+ * @param {function} callback
+ *
+ */
+function parse(req, boundary, settings, callback) {
+    var delimiter = Buffer.from('\r\n--' + boundary)
+
+    // the first boundary is not preceded by a line break of its own
+    var buffer = CRLF
+    var state = PREAMBLE
+
+    var fields = Object.create(null)
+    var files = Object.create(null)
+    var part = null
+    var received = 0
+    var fileCount = 0
+
+    // files and streams not yet done, and every file written so far
+    var pending = 0
+    var streams = []
+    var written = []
+
+    var paused = false
+    var ended = false
+    var done = false
+
+    req.on('data', onData)
+    req.on('end', onEnd)
+    req.on('error', onError)
+    req.on('close', onClose)
+
+    function onData(chunk) {
+        received += chunk.length
+
+        if (received > settings.limit) {
+            return fail(body.httpError(413, 'Request body is too large'))
+        }
+
+        buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk
+        consume()
+    }
+
+    function onEnd() {
+        ended = true
+
+        if (state != EPILOGUE) {
+            return fail(body.httpError(400, 'Multipart body ended before its last boundary'))
+        }
+
+        complete()
+    }
+
+    function onError(err) {
+        fail(body.httpError(400, `Request body could not be read: ${err.message}`))
+    }
+
+    function onClose() {
+        // close follows end once the request is done, files may still be being written
+        if (!ended) {
+            fail(body.httpError(400, 'Request aborted'))
+        }
+    }
+
+    /**
+     * Function parses as much of the buffer as it can, leaving what may be
+     * the start of a delimiter or headers for the next chunk.
+     */
+    function consume() {
+        while (!done) {
+            if (state == PREAMBLE || state == BODY) {
+                var index = buffer.indexOf(delimiter)
+                var end = index >= 0 ? index : Math.max(buffer.length - delimiter.length + 1, 0)
+
+                if (state == BODY && end > 0) {
+                    write(buffer.subarray(0, end))
+
+                    if (done) {
+                        return
+                    }
+                }
+
+                if (index < 0) {
+                    buffer = buffer.subarray(end)
+                    return
+                }
+
+                if (state == BODY) {
+                    endPart()
+                }
+
+                buffer = buffer.subarray(index + delimiter.length)
+                state = BOUNDARY
+            } else if (state == BOUNDARY) {
+                if (buffer.length < 2) {
+                    return
+                }
+
+                if (buffer[0] == 0x2d && buffer[1] == 0x2d) {
+                    buffer = Buffer.alloc(0)
+                    state = EPILOGUE
+                    return
+                }
+
+                // the boundary line may end in whitespace before its line break
+                var eol = buffer.indexOf(CRLF)
+
+                if ((eol < 0 && buffer.length > HEADER_LIMIT) || (eol >= 0 && buffer.toString('latin1', 0, eol).trim() != '')) {
+                    return fail(body.httpError(400, 'Malformed multipart boundary'))
+                }
+
+                if (eol < 0) {
+                    return
+                }
+
+                buffer = buffer.subarray(eol + CRLF.length)
+                state = HEADERS
+            } else if (state == HEADERS) {
+                // a part without headers starts with the blank line
+                var headerEnd = buffer.subarray(0, 2).equals(CRLF) ? 0 : buffer.indexOf(HEADER_END)
+
+                if (headerEnd < 0) {
+                    if (buffer.length > HEADER_LIMIT) {
+                        return fail(body.httpError(400, 'Multipart headers are too large'))
+                    }
+
+                    return
+                }
+
+                var headers = parseHeaders(buffer.toString('utf-8', 0, headerEnd))
+                buffer = buffer.subarray(headerEnd == 0 ? CRLF.length : headerEnd + HEADER_END.length)
+
+                startPart(headers)
+                state = BODY
+            } else {
+                // the epilogue is ignored
+                buffer = Buffer.alloc(0)
+                return
+            }
+        }
+    }
+
+    /**
+     * Function starts a part as a text field, a file or a part that is skipped.
+     *
+     * @param {object} headers
+     *
+     */
+    function startPart(headers) {
+        var disposition = parseDisposition(headers['content-disposition'])
+        var type = body.contentType(headers['content-type'])
+
+        // parts without a name and file inputs left empty are skipped
+        if (disposition.name == null || disposition.filename === '') {
+            part = { skip: true }
+            return
+        }
+
+        if (disposition.filename == null) {
+            var decoder
+
+            try {
+                decoder = new TextDecoder(type.charset || 'utf-8')
+            } catch (err) {
+                return fail(body.httpError(415, `Unsupported charset ${type.charset}`))
+            }
+
+            part = { name: disposition.name, decoder: decoder, chunks: [], size: 0 }
+            return
+        }
+
+        if (++fileCount > settings.files) {
+            return fail(body.httpError(413, `Too many files, at most ${settings.files} are accepted`))
+        }
+
+        var file = {
+            field: disposition.name,
+            filename: disposition.filename.replace(/^.*[\\/]/, ''),
+            type: type.type || 'application/octet-stream',
+            size: 0
+        }
+
+        var source = new stream.PassThrough()
+
+        part = { file: file, stream: source }
+        streams.push(source)
+        pending++
+
+        append(files, file.field, file)
+
+        if (settings.onFile != null) {
+            return handFile(source, file)
+        }
+
+        // the name the client gave is never used on disk
+        file.path = path.join(settings.dest, crypto.randomBytes(16).toString('hex'))
+
+        var target = fs.createWriteStream(file.path, { flags: 'wx' })
+
+        streams.push(target)
+        written.push({ path: file.path, stream: target })
+
+        stream.finished(target, function (err) {
+            if (err != null) {
+                return fail(err)
+            }
+
+            fileDone()
+        })
+
+        source.pipe(target)
+    }
+
+    /**
+     * Function gives the stream of a file to onFile and waits for it to be read.
+     *
+     * @param {PassThrough} source
+     * @param {object} file
+     *
+     */
+    function handFile(source, file) {
+        var waiting = 2
+
+        function settle(err) {
+            if (err != null) {
+                return fail(err)
+            }
+
+            if (--waiting == 0) {
+                fileDone()
+            }
+        }
+
+        stream.finished(source, settle)
+
+        var result
+
+        try {
+            result = settings.onFile(source, file, req)
+        } catch (err) {
+            return fail(err)
+        }
+
+        Promise.resolve(result).then(function () {
+            settle(null)
+        }, function (err) {
+            settle(err || new Error(`onFile failed for ${file.filename}`))
+        })
+    }
+
+    /**
+     * Function adds a piece of body to the current part, checking its limit.
+     *
+     * @param {Buffer} data
+     *
+     */
+    function write(data) {
+        if (part.skip) {
+            return
+        }
+
+        if (part.file == null) {
+            part.size += data.length
+
+            if (part.size > settings.fieldSize) {
+                return fail(body.httpError(413, `Field ${part.name} is too large`))
+            }
+
+            part.chunks.push(data)
+            return
+        }
+
+        part.file.size += data.length
+
+        if (part.file.size > settings.fileSize) {
+            return fail(body.httpError(413, `File ${part.file.filename} is too large`))
+        }
+
+        if (!part.stream.write(data) && !paused) {
+            paused = true
+            req.pause()
+
+            part.stream.once('drain', function () {
+                paused = false
+
+                if (!done) {
+                    req.resume()
+                }
+            })
+        }
+    }
+
+    /**
+     * Function ends the current part, adding a text field to the fields.
+     */
+    function endPart() {
+        if (part.stream != null) {
+            part.stream.end()
+        } else if (part.chunks != null) {
+            append(fields, part.name, part.decoder.decode(Buffer.concat(part.chunks)))
+        }
+
+        part = null
+    }
+
+    function fileDone() {
+        pending--
+        complete()
+    }
+
+    function complete() {
+        if (ended && pending == 0 && !done) {
+            finish(null)
+        }
+    }
+
+    /**
+     * Function stops reading the body, removes the files written so far and
+     * destroys the streams still open.
+     *
+     * @param {Error} err
+     *
+     */
+    function fail(err) {
+        if (done) {
+            return
+        }
+
+        done = true
+
+        streams.forEach(function (open) {
+            open.destroy()
+        })
+
+        written.forEach(function (file) {
+            var remove = function () {
+                fs.unlink(file.path, function () {})
+            }
+
+            // the file is removed once it is closed, it may still be being opened
+            file.stream.closed ? remove() : file.stream.once('close', remove)
+        })
+
+        // the rest of the body is read and dropped
+        req.resume()
+        finish(err)
+    }
+
+    function finish(err) {
+        done = true
+        buffer = Buffer.alloc(0)
+
+        req.removeListener('data', onData)
+        req.removeListener('end', onEnd)
+        req.removeListener('error', onError)
+        req.removeListener('close', onClose)
+
+        callback(err, fields, files)
+    }
+}
+
+/**
+ * Function parses the header lines of a part, names are lowercase.
+ *
+ * @param {string} text
+ * @return {object}
+ *
+ */
+function parseHeaders(text) {
+    var headers = {}
+
+    text.split('\r\n').forEach(function (line) {
+        var colon = line.indexOf(':')
+
+        if (colon > 0) {
+            headers[line.substr(0, colon).trim().toLowerCase()] = line.substr(colon + 1).trim()
+        }
+    })
+
+    return headers
+}
+
+/**
+ * Function reads the parameters of a Content-Disposition header, name and filename.
+ * Only quotes are unescaped in quoted values, as a filename may be a Windows path.
+ * A UTF-8 filename* is preferred over filename.
+ *
+ * @param {string} header
+ * @return {object}
+ *
+ */
+function parseDisposition(header) {
+    var pattern = /;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g
+    var params = {}
+    var match
+
+    while ((match = pattern.exec(String(header || ''))) != null) {
+        params[match[1].toLowerCase()] = match[2] != null ? match[2].replace(/\\"/g, '"') : match[3].trim()
+    }
+
+    var extended = /^utf-8'[^']*'(.+)$/i.exec(params['filename*'] || '')
+
+    if (extended != null) {
+        try {
+            params.filename = decodeURIComponent(extended[1])
+        } catch (err) {
+            // a filename* that does not decode leaves filename as it is
+        }
+    }
+
+    return params
+}
+
+/**
+ * Function adds a value under a name, a name given more than once gets an array.
+ *
+ * @param {object} target
+ * @param {string} name
+ * @param {*} value
+ *
+ */
+function append(target, name, value) {
+    target[name] = target[name] === undefined ? value : [].concat(target[name], value)
+}
@@ -1,3 +1,5 @@
+var semver = require('./version')
+
 const ROOT = 'root'
 const STATIC = 'static'
 const PARAM = 'param'
@@ -9,7 +11,6 @@ const GROUP = 'group'
  * Constructor for a node element in the radix tree structure
  *
  * @param {string} path         | optional
- * @param {boolean} varChild    | optional
  * @param {nodeType} string     | optional
  * @param {number} maxVars      | optional
  * @param {string} childKeys    | optional
@@ -17,15 +18,14 @@ const GROUP = 'group'
  * @param {function} handler    | optional
  * @param {number} priority     | optional
  * @param {array} middleware    | optional
+ * @param {array} errorHandlers | optional
+ * @param {function} notFound   | optional
  *
  */
-function Node(path = '', varChild = false, nodeType = STATIC, maxVars = 0, childKeys = '', children = [], handler = null, priority = 1, middleware = []) {
+function Node(path = '', nodeType = STATIC, maxVars = 0, childKeys = '', children = [], handler = null, priority = 1, middleware = [], errorHandlers = [], notFound = null) {
     // path of node
     this.path = path
 
-    // reflects if node has a variable node (param or wildcare) as a child
-    this.varChild = varChild
-
     // used to identify rules for dealing with node when encountered on traversal
     this.nodeType = nodeType
 
@@ -35,9 +35,14 @@ function Node(path = '', varChild = false, nodeType = STATIC, maxVars = 0, child
     // first letter of each child node's path used for tree navigation
     this.childKeys = childKeys
 
-    // array of children nodes
+    // array of static children nodes
     this.children = children
 
+    // param and wildcard children, tried in that order when no static child matches
+    // params with a constraint come before the one without, which takes any value
+    this.paramChildren = []
+    this.wildcardChild = null
+
     // function used for execution in path matches
     this.handler = handler
 
@@ -48,23 +53,97 @@ function Node(path = '', varChild = false, nodeType = STATIC, maxVars = 0, child
     // array of functions defined as middleware
     // added to execution stack as node is traversed on the way to destination node
     this.middleware = middleware
+
+    // array of functions run before the node's own handler only
+    // set along with the handler, from the middleware given with the route
+    this.routeMiddleware = []
+
+    // array of functions defined as error handling middleware
+    // collected alongside middleware, called when a layer passes an error to next
+    this.errorHandlers = errorHandlers
+
+    // function used when no route matches, only set on root nodes
+    // the innermost one reached while building the stack is used
+    this.notFound = notFound
+
+    // paths are matched without regard to case unless set, only read on root nodes
+    this.caseSensitive = false
+
+    // callbacks run for named params of the matched route, keyed by param name
+    // only read on root nodes
+    this.paramHandlers = {}
+
+    // http method of the tree, only set on root nodes
+    // used to find the sub-router's tree under a group node
+    this.method = null
+
+    // regular expression a param node's value has to match, set from :name(regex) in the route
+    this.constraint = null
+
+    // handlers of a route added with versions, newest first
+    // each is of format { version, parsed, handler, middleware }
+    this.versions = []
 }
 
 
 /**
  * Function adds a new route node to the radix tree.
  *
+ * Params ending in ?, /archive/:year?, are optional and have to be the last
+ * segments of the path. The route is added both with and without them.
+ *
+ * A route added with versions can be added again for other versions,
+ * buildStack picks the handler for the version a request asks for.
+ *
  * @param {string} path
  * @param {function} handler
  * @param {boolean} group       | optional
+ * @param {array} middleware    | optional, run before the handler of this route only
+ * @param {string|array} versions   | optional
  *
  */
-Node.prototype.addRoute = function (path, handler, group = false) {
+Node.prototype.addRoute = function (path, handler, group = false, middleware = [], versions = null) {
     // Copy over this so it can be reassigned during traverse loop
     var _this = this
 
+    if (versions != null) {
+        addVersions(this, path, handler, group, middleware, versions)
+        return
+    }
+
+    // optional params add a route with and without each of them
+    // all are checked first so none are added if one is already taken
+    var paths = optionalPaths(path)
+    if (paths.length > 1) {
+        paths.forEach(function (path) {
+            if (this.getRoute(path) != null) {
+                throw new Error(`A handler is already registered for path`)
+            }
+        }, this)
+
+        paths.forEach(function (path) {
+            this.addRoute(path, handler, group, middleware)
+        }, this)
+
+        return
+    }
+
     // lowercase all paths to remove case sensitivity
-    path = path.toLowerCase()
+    if (!this.caseSensitive) {
+        path = lowerCaseRoute(path)
+    }
+
+    // check params before changing the tree so a bad one does not leave a half added route behind
+    splitRoute(path).forEach(function (part, i, parts) {
+        if (part[0] != ':') return
+
+        // without static text between them there is no telling where one param ends
+        if (i > 0 && parts[i - 1][0] == ':') {
+            throw new Error(`params in a path segment must be separated by static text`)
+        }
+
+        paramConstraint(part, true)
+    })
 
     // increment current nodes priority
     _this.priority++
@@ -90,36 +169,8 @@ Node.prototype.addRoute = function (path, handler, group = false) {
 
             // if match ends in the middle of current nodes path split node
             // split happens at the position where match ends (i)
-            // creates a child of current node containing all of current nodes data
-            // path of child is the non-matching portion of current node's path
             if (i < _this.path.length) {
-                var child = new Node(
-                    _this.path.substr(i),
-                    _this.varChild,
-                    _this.nodeType,
-                    _this.maxVars,
-                    _this.childKeys,
-                    _this.children,
-                    _this.handler,
-                    _this.priority - 1
-                )
-
-                // reset maxVars to max of children
-                child.children.forEach((subchild) => {
-                    if (subchild.maxVars > child.maxVars) {
-                        child.maxVars = subchild.maxVars
-                    }
-                })
-
-                // reset current nodes information
-                // path will be the matching portion of current node's path
-                // childKeys will just be first character of newly created child
-                _this.children = [child]
-                _this.childKeys = _this.path[i]
-                _this.path = path.substr(0, i)
-                _this.handler = null
-                _this.varChild = false
-                _this.nodeType = STATIC
+                _this.split(i, _this === this)
             }
 
             // add node as a child of current node
@@ -135,32 +186,41 @@ Node.prototype.addRoute = function (path, handler, group = false) {
                 // cutoff path portion that is handled by current node
                 path = path.slice(i)
 
-                // if current node has a variable child check to make sure new path has matching variable name
-                // can not have two different variables defined in same portion of path
-                if (_this.varChild) {
+                var char = path[0]
 
-                    _this = _this.children[0]
-                    _this.priority++
+                // a param with the same name and constraint continues down its node
+                // params with constraints can share a portion of path, only one can take any value
+                if (char == ':') {
+                    var param = splitRoute(path)[0]
 
-                    if (numVars > _this.numVars) {
-                        _this.numVars = numVars
-                    }
-                    numVars--
+                    var same = _this.paramChildren.find(function (child) {
+                        return child.path == param
+                    })
+
+                    if (same != null) {
+                        _this = same
+                        _this.priority++
+                        numVars--
 
-                    if (_this.path == path.substr(0, _this.path.length) && (_this.path.length == path.length || path[_this.path.length] == '/')) {
                         continue traverse
-                    } else {
-                        throw new Error(`Path has an invalid wildcard value: ${path.split('/')[0]}`)
+                    }
+
+                    var open = _this.paramChildren.find(function (child) {
+                        return child.constraint == null
+                    })
+
+                    if (open != null && paramConstraint(param, true) == null) {
+                        throw new Error(`Param ${param} conflicts with ${open.path} defined in the same portion of path`)
                     }
                 }
 
-                var char = path[0]
+                // a wildcard takes the rest of the path, there can only be one
+                if (char == '*' && _this.wildcardChild != null) {
+                    if (_this.wildcardChild.path == path) {
+                        throw new Error(`A handler is already registered for path`)
+                    }
 
-                // Check for slash after param, step down tree if slash
-                if (_this.nodeType == PARAM && char == '/' && _this.children.length == 1) {
-                    _this = _this.children[0]
-                    _this.priority++
-                    continue traverse
+                    throw new Error(`Wildcard ${path} conflicts with ${_this.wildcardChild.path} defined in the same portion of path`)
                 }
 
                 // check if child with next path portion exists
@@ -184,8 +244,7 @@ Node.prototype.addRoute = function (path, handler, group = false) {
 
                     var child = new Node(
                         '',
-                        false,
-                        group ? GROUP : STATIC,
+                        STATIC,
                         numVars,
                         '',
                         [],
@@ -198,7 +257,7 @@ Node.prototype.addRoute = function (path, handler, group = false) {
                     _this = child
                 }
 
-                _this.addChild(numVars, path, handler, group)
+                _this.addChild(numVars, path, handler, group, this.caseSensitive, middleware)
 
                 return
 
@@ -210,7 +269,22 @@ Node.prototype.addRoute = function (path, handler, group = false) {
                     throw new Error(`A handler is already registered for path`)
                 }
 
+                // the node can already be there for other routes or middleware on the path
+                // a group takes over every path under its prefix so it can only go on a node without children
+                if (group) {
+                    if (_this.nodeType == PARAM) {
+                        throw new Error(`group prefix can not end with a variable`)
+                    }
+
+                    if (childNodes(_this).length > 0) {
+                        throw new Error("Can not add group over paths already defined under it")
+                    }
+
+                    _this.nodeType = GROUP
+                }
+
                 _this.handler = handler
+                _this.routeMiddleware = middleware
             }
 
             return
@@ -218,73 +292,176 @@ Node.prototype.addRoute = function (path, handler, group = false) {
 
     } else {
         // empty tree, just insert child
-        _this.addChild(numVars, path, handler, group)
-        _this.nodeType = group ? GROUP : ROOT
+        _this.addChild(numVars, path, handler, group, this.caseSensitive, middleware)
+
+        if (_this.nodeType != GROUP) {
+            _this.nodeType = ROOT
+        }
     }
 }
 
 
+/**
+ * Function splits the node at a position in its path.
+ *
+ * Creates a child of the node containing all of the node's data, the path
+ * of the child is the portion of the node's path after the split. Middleware
+ * of the root is kept by the root as it applies to the whole router, any
+ * other node's middleware is for its full path and moves to the child.
+ *
+ * @param {number} index
+ * @param {boolean} root        | optional
+ *
+ */
+Node.prototype.split = function (index, root = false) {
+    var child = new Node(
+        this.path.substr(index),
+        this.nodeType == ROOT ? STATIC : this.nodeType,
+        this.maxVars,
+        this.childKeys,
+        this.children,
+        this.handler,
+        this.priority - 1
+    )
+    child.paramChildren = this.paramChildren
+    child.wildcardChild = this.wildcardChild
+    child.routeMiddleware = this.routeMiddleware
+    child.versions = this.versions
+
+    if (!root) {
+        child.middleware = this.middleware
+        child.errorHandlers = this.errorHandlers
+        this.middleware = []
+        this.errorHandlers = []
+    }
+
+    // reset maxVars to max of children
+    child.children.forEach((subchild) => {
+        if (subchild.maxVars > child.maxVars) {
+            child.maxVars = subchild.maxVars
+        }
+    })
+
+    // reset node's information
+    // path will be the portion of the path before the split
+    // childKeys will just be first character of newly created child
+    // root keeps its type so its middleware is still collected
+    this.children = [child]
+    this.childKeys = child.path[0]
+    this.path = this.path.substr(0, index)
+    this.handler = null
+    this.routeMiddleware = []
+    this.versions = []
+    this.paramChildren = []
+    this.wildcardChild = null
+    this.nodeType = root ? ROOT : STATIC
+}
+
+
+/**
+ * Function adds middleware to the node for a path, creating the node if needed.
+ *
+ * The middleware runs for the path and every path below it, so /admin
+ * covers /admin and /admin/users but not /administrator.
+ *
+ * @param {string} path
+ * @param {string} type         | middleware or errorHandlers
+ * @param {function} middleware
+ *
+ */
+Node.prototype.addMiddleware = function (path, type, middleware) {
+    if (splitRoute(path).some(function (part) { return part[0] == '*' }) || optionalPaths(path).length > 1) {
+        throw new Error(`middleware path can not have wildcards or optional params`)
+    }
+
+    // the same paths are covered with or without a trailing slash
+    if (path.length > 1 && path[path.length - 1] == '/') {
+        path = path.slice(0, -1)
+    }
+
+    var nodes = findRoute(this, path, false)
+
+    // the node is added like a route without a handler
+    if (nodes == null) {
+        this.addRoute(path, null)
+        nodes = findRoute(this, path, false)
+    }
+
+    var node = nodes[nodes.length - 1]
+
+    // the root's middleware runs for every path, the path needs a node of its own
+    if (node === this) {
+        this.split(0, true)
+        node = this.children[0]
+    }
+
+    node[type] = node[type].concat(middleware)
+}
+
+
 /**
  * Function adds a child to the current node to expand the radix tree.
  *
+ * A param can be followed by a regular expression in parentheses, :id(\d+),
+ * that its value has to match. The expression can not contain a /.
+ *
+ * Param names are made of word characters, so a segment can hold several
+ * params split by static text, /flights/:from-:to or /img/:name.:ext.
+ * The static text after a param becomes a child of the param node.
+ *
  * @param {number} numVars
  * @param {string} path
  * @param {function} handler
+ * @param {boolean} group           | optional
+ * @param {boolean} caseSensitive   | optional, for param constraints
+ * @param {array} middleware        | optional
  *
  */
-Node.prototype.addChild = function (numVars, path, handler) {
+Node.prototype.addChild = function (numVars, path, handler, group = false, caseSensitive = false, middleware = []) {
 
     // copy this to allow reassignment in traverse loop
     var _this = this
 
-    var offset = 0
-    var max = path.length
+    // path split into static text and variables
+    var parts = splitRoute(path)
 
-    // if path contains any variables find them all and build tree accordingly
-    for (var i = 0; numVars > 0; i++) {
+    for (var i = 0; i < parts.length; i++) {
 
-        var char = path[i]
+        var part = parts[i]
+        var char = part[0]
 
-        // trying to find beginning position of each variable
-        // do not care about other characters
+        // static text is the path of the current node
+        // text following a param goes in a child of the param node
         if (char != ':' && char != '*') {
-            continue
-        }
+            if (_this.nodeType == PARAM) {
+                var child = new Node(
+                    '',
+                    STATIC,
+                    numVars,
+                    '',
+                    [],
+                    null,
+                    1
+                )
 
-        // trying to find end of variable name
-        // step to first character of name and loop through until end of path or / is found
-        var end = i + 1
-        while (end < max && path[end] != '/') {
-            if (path[end] == ':' || path[end] == '*') {
-                throw new Error(`only one variable allowed per path segment`)
-            } else {
-                end++
+                _this.children = [child]
+                _this.childKeys = char
+                _this = child
             }
-        }
 
-        // can not set a variable as child of node with existing children
-        if (_this.children.length > 0) {
-            throw new Error(`variable route conflicts with existing children in path`)
+            _this.path = part
+            continue
         }
 
         // check for name, all variables must have names
-        if (end - i < 2) {
+        if (variableName(part).length == 0) {
             throw new Error(`variables must be named in path`)
         }
 
         // variable type is param
         if (char == ':') {
-
-            // if path doesn't start with variable then set current node's path
-            // to be portion of path before variable
-            if (i > 0) {
-                _this.path = path.substr(offset, i)
-                offset = i
-            }
-
             var child = new Node(
-                '',
-                false,
+                part,
                 PARAM,
                 numVars,
                 '',
@@ -292,83 +469,35 @@ Node.prototype.addChild = function (numVars, path, handler) {
                 null,
                 0
             )
-            _this.children = [child]
-            _this.varChild = true
+            child.constraint = paramConstraint(part, caseSensitive)
+
+            // constrained params go ahead of the param without a constraint
+            var index = child.constraint == null ? -1 : _this.paramChildren.findIndex(function (param) {
+                return param.constraint == null
+            })
+
+            _this.paramChildren.splice(index < 0 ? _this.paramChildren.length : index, 0, child)
             _this = child
             _this.priority++
 
             // reduce variable counter as one variable has been dealt with
             numVars--
 
-            // if the end of the variable name is not the end of the path then
-            // another node needs to be added as a child to the variable node
-            // otherwise continue to bottom and assign path and handler
-            if (end < max) {
-                _this.path = path.substr(offset, end)
-                offset = end
-
-                child = new Node(
-                    '',
-                    false,
-                    group ? GROUP : STATIC,
-                    numVars,
-                    '',
-                    [],
-                    null,
-                    1
-                )
-
-                _this.children = [child]
-                _this = child
-            }
-
         } else {
             //variable type is wildcard
 
             // can not have any path or variables after a wildcard
-            if (end != max || numVars > 1) {
+            if (i != parts.length - 1 || group) {
                 throw new Error(`wildcard routes can only be at the end of the path`)
             }
 
-            // can not assign a wildcard over an existing route
-            if (_this.path.length > 0 && _this.path[_this.path.length - 1] == '/') {
-                throw new Error(`wildcard conflicts with existing handle for the path segment`)
-            }
-
-            // step back to / before wildcard
-            i--
-            if (path[i] != '/') {
+            // wildcard takes everything after a /
+            if (_this.path[_this.path.length - 1] != '/') {
                 throw new Error(`No '/' before wildcard in path`)
             }
 
-            // set current nodes path to everything before the /*wildcard
-            _this.path = path.substr(offset, i)
-
-            // wildcard node with empty path
-            // this ensures the traversal loop for retrieving values from node passes
-            // correct conditional regardless of wildcard variable content
-            //
-            // requried conditonal to pass: (path.length > _this.path,length)
-            // in function buildStack()
-            var child = new Node(
-                '',
-                true,
-                WILDCARD,
-                1,
-                '',
-                [],
-                null,
-                0
-            )
-            _this.children = [child]
-            _this.childKeys = path[i]
-            _this = child
-            _this.priority++
-
-            // wildcard node with variable value set as child of empty path node
-            child = new Node(
-                path.substr(i),
-                false,
+            _this.wildcardChild = new Node(
+                part,
                 WILDCARD,
                 1,
                 '',
@@ -376,230 +505,706 @@ Node.prototype.addChild = function (numVars, path, handler) {
                 handler,
                 1
             )
-            _this.children = [child]
+            _this.wildcardChild.routeMiddleware = middleware
 
             return
         }
     }
 
-    // if path has no variables set path and handler
-    _this.path = path.substr(offset)
+    // group's sub-router handles everything after the last node of its prefix
+    if (group) {
+        if (_this.nodeType == PARAM) {
+            throw new Error(`group prefix can not end with a variable`)
+        }
+
+        _this.nodeType = GROUP
+    }
+
     _this.handler = handler
+    _this.routeMiddleware = middleware
 }
 
 
 /**
  * Function builds the execution stack for a route by navigating the radix tree.
  *
+ * Error handlers are collected innermost first so a group's handlers
+ * get the first chance at errors raised by its own routes.
+ *
+ * If no route matches, handler is null and stack holds only the middleware
+ * along with the not found handler of the innermost router reached.
+ * middleware holds the middleware alone whether a route matches or not.
+ *
+ * A route that only matches with a trailing slash added or removed is still
+ * returned, trailingSlash reports which fix-up was used ('add' or 'remove').
+ *
+ * A param takes the shortest value the rest of the path can be matched with,
+ * so /img/:name.:ext gives name 'archive' and ext 'tar.gz' for /img/archive.tar.gz.
+ * Param and wildcard values are percent-decoded. When no route matches and
+ * a value could not be decoded, malformed is true.
+ *
+ * Param callbacks of the routers passed through are added to the stack
+ * between the middleware and the handler, once for each matched param.
+ *
+ * baseUrl is the part of the path taken by the prefixes of the groups
+ * the path was handed through, in its original case.
+ *
+ * A route or group added with versions uses its newest version that is in
+ * range, or its newest version without a range. When none is in range the
+ * handler is null and versions lists the versions the path has.
+ *
  * @param {string} path
  * @param {string} method           | only relevant to processing group nodes
  * @param {array} executionStack    | optional
+ * @param {array} errorStack        | optional
+ * @param {function} notFound       | optional
+ * @param {object} inherited        | optional, params matched before a group
+ * @param {object} paramHandlers    | optional
+ * @param {function} range          | optional, test for the versions the request accepts
+ * @return {object}
  *
  */
-Node.prototype.buildStack = function (path, method, executionStack = []) {
+Node.prototype.buildStack = function (path, method, executionStack = [], errorStack = [], notFound = null, inherited = {}, paramHandlers = {}, range = null) {
 
-    // copy this to allow reassignment in traverse loop
-    var _this = this
+    // path keeps its original case for param values
+    // path is only ever trimmed from the front, so the end of original matches what is left of path
+    var original = path
 
     // normalize path to lowercase
-    path = path.toLowerCase()
-
-    var params = {}
-    var handler = null
+    if (!this.caseSensitive) {
+        path = lowerCase(path)
+    }
 
-    traverse: while (true) {
+    var params = Object.assign({}, inherited)
 
-        // only two options, path is longer than current path or path matches current path
+    // result of the sub-router once the path has led into a group
+    var group = null
 
-        // if path longer than current path then check for matching substring
-        if (path.length > _this.path.length) {
+    // set when a param or wildcard value has a bad percent-encoding
+    var malformed = false
 
-            // if no matching substring return null handler
-            if (path.substr(0, _this.path.length) == _this.path) {
+    // nodes with middleware on the way to the route, and the most reached when there is no route
+    var root = this
+    var passed = []
+    var reached = []
 
-                // trim path
-                path = path.substr(_this.path.length)
+    // the root node holds the middleware, error handlers and not found handler of its router
+    // collected before traversal so they also apply when no route matches
+    executionStack = executionStack.concat(this.middleware)
+    errorStack = this.errorHandlers.concat(errorStack)
+    notFound = this.notFound || notFound
+    paramHandlers = mergeParamHandlers(paramHandlers, this.paramHandlers)
 
-                // if no variable child then find matching indice, step down to matching child and loop
-                if (!_this.varChild) {
+    var node = match(this, path)
 
-                    // special case: if group node then trimmed path needs to be passed into subrouter for handling
-                    if (_this.nodeType == GROUP) {
-                        return _this.handler.buildStack(path, method, executionStack.concat(_this.middleware))
-                    }
+    if (group != null) {
+        return group
+    }
 
-                    // find matching indice
-                    var char = path[0]
-                    for (var i = 0; i < _this.childKeys.length; i++) {
-                        if (char == _this.childKeys[i]) {
+    // reports a trailing slash fix-up used to find the handler
+    // add: handler is for the path with a trailing slash
+    // remove: handler is for the path without its trailing slash
+    var trailingSlash = null
 
-                            // if node is root or group then it can have middleware
-                            // therefore need to add it to execution stack before stepping down to child
-                            if (_this.nodeType == ROOT || _this.nodeType == GROUP) {
-                                executionStack = executionStack.concat(_this.middleware)
-                            }
+    if (node == null && path.length > 1) {
+        trailingSlash = path[path.length - 1] == '/' ? 'remove' : 'add'
 
-                            _this = _this.children[i]
-                            continue traverse
-                        }
-                    }
+        if (trailingSlash == 'add') {
+            path += '/'
+            original += '/'
+        } else {
+            path = path.slice(0, -1)
+            original = original.slice(0, -1)
+        }
 
-                    // if no matching indice but path matches current node except for trailing slash
-                    // then use current nodes handler (essentially redirecting url w/o trailing slash)
-                    if (path == '/' && _this.handler != null) {
-                        handler = _this.handler
-                    }
+        params = Object.assign({}, inherited)
+        node = match(this, path)
 
-                    return {
-                        params: params,
-                        handler: handler,
-                        stack: executionStack.concat(handler)
-                    }
-                }
+        // a sub-router is only used for the fixed path if it has a route for it
+        if (group != null && group.handler != null) {
+            group.trailingSlash = trailingSlash
+            return group
+        }
+    }
 
-                // see comment on 435
-                if (_this.nodeType == ROOT || _this.nodeType == GROUP) {
-                    executionStack = executionStack.concat(_this.middleware)
-                }
+    return result(node)
+
+    /**
+     * Function finds the node of the route for path, starting at node.
+     * Returns null if there is none or the path was handed to a sub-router.
+     *
+     * @param {Node} node
+     * @param {string} path
+     * @return {Node|null}
+     */
+    function match(node, path) {
+
+        // node has a variable value to extract
+        if (node.nodeType == PARAM) {
+            return matchParam(node, path)
+        }
 
-                _this = _this.children[0]
+        if (path.substr(0, node.path.length) != node.path) {
+            return null
+        }
 
-                // node has a variable value to extract
-                if (_this.nodeType == PARAM) {
+        path = path.substr(node.path.length)
 
-                    var end = 0
+        // special case: if group node then trimmed path needs to be passed into subrouter for handling
+        // the group owns its prefix, no other route is tried for the path once it is reached
+        if (node.nodeType == GROUP) {
+            if (path.length > 0 && path[0] != '/') {
+                return null
+            }
 
-                    // find ending index of value occupying the param segment of the path
-                    while (end < path.length && path[end] != '/') {
-                        end++
-                    }
+            pass(node, path)
 
-                    params[_this.path.substr(1)] = path.substr(0, end)
+            // a group added with versions hands over to the sub-router for the version
+            var route = pick(node)
 
+            if (route == null) {
+                group = result(node)
+                return null
+            }
 
-                    // if there is more path after dealing with variable then trim path, step down to child and loop
-                    // variable nodes will only ever have one child '/'
-                    if (end < path.length) {
-                        if (_this.children.length > 0) {
-                            path = path.substr(end)
-                            _this = _this.children[0]
-                            continue traverse
-                        }
+            // middleware passed on the way to the group runs before the sub-router's
+            var layers = pathLayers(passed)
+
+            // if path is empty add a slash, otherwise an empty string will be passed into subrouter
+            // the sub-router is asked for each request so routes added to it after grouping are found
+            group = route.handler.buildStack(
+                path.length > 0 ? originalPath(path) : '/',
+                method,
+                executionStack.concat(layers.middleware),
+                layers.errorHandlers.concat(errorStack),
+                notFound,
+                params,
+                paramHandlers,
+                range
+            )
 
-                        // check for a trailing slash, use current handler if it exists
-                        if (path.length == end + 1) {
-                            handler = _this.handler
-                        }
+            // the prefixes of the groups the path went through
+            group.baseUrl = original.substr(0, original.length - path.length) + group.baseUrl
 
-                        return {
-                            params: params,
-                            handler: handler,
-                            stack: executionStack.concat(handler)
-                        }
-                    }
+            // routes of a sub-router added with a version are for that version
+            group.version = group.version || route.version
 
-                    // otherwise use current handler because path is complete
-                    handler = _this.handler
-                    if (handler != null) {
-
-                        return {
-                            params: params,
-                            handler: handler,
-                            stack: executionStack.concat(_this.middleware).concat(handler)
-                        }
-
-                    } else if (_this.children.length == 1) {
-                        // check to see if handler is on node for the trailing slash
-                        // use that handler if that is the case
-                        _this = _this.children[0]
-                        if (_this.path == '/' && _this.handler != null) {
-                            handler = _this.handler
-                        }
-                    }
+            return null
+        }
 
-                    return {
-                        params: params,
-                        handler: handler,
-                        stack: executionStack.concat(handler)
-                    }
+        var passing = pass(node, path)
+        var found = matchChildren(node, path)
 
-                } else if (_this.nodeType == WILDCARD) {
+        if (found == null && passing) {
+            passed.pop()
+        }
 
-                    // variable value is everything after /*
-                    params[_this.path.substr(2)] = path
+        return found
+    }
 
-                    handler = _this.handler
+    /**
+     * Function tries the value of a param at every place its path segment
+     * could end, shortest first, until the rest of the path matches.
+     *
+     * @param {Node} node
+     * @param {string} path
+     * @return {Node|null}
+     */
+    function matchParam(node, path) {
+        var name = variableName(node.path)
+
+        // a value can not reach past the end of its path segment
+        var segment = path.indexOf('/')
+        if (segment < 0) {
+            segment = path.length
+        }
 
-                    return {
-                        params: params,
-                        handler: handler,
-                        stack: executionStack.concat(_this.middleware).concat(handler)
-                    }
+        for (var end = 1; end <= segment; end++) {
 
-                } else {
-                    throw new Error("Invalid node type")
-                }
+            // value can only end where a child carries on the path
+            if (end < segment && node.childKeys.indexOf(path[end]) < 0) {
+                continue
             }
 
-          // path's match exactly
-        } else if (path == _this.path) {
+            var value = decodeValue(originalPath(path).substr(0, end))
 
-            // if node is type group then add a slash, otherwise an empty string will be passed into subrouter
-            if (_this.nodeType == GROUP) {
-                return _this.handler.buildStack('/', method, executionStack)
+            if (value == null) {
+                malformed = true
+                continue
             }
 
-            handler = _this.handler
-            if (handler != null) {
+            // the decoded value has to pass the param's constraint, the same value router.url tests
+            if (node.constraint != null && !node.constraint.test(value)) {
+                continue
+            }
 
-                return {
-                    params: params,
-                    handler: handler,
-                    stack: executionStack.concat(_this.middleware).concat(handler)
-                }
+            params[name] = value
+
+            var passing = pass(node, path.substr(end))
+            var found = matchChildren(node, path.substr(end))
+
+            if (found != null || group != null) {
+                return found
             }
 
-            // redirecting to a trailing slash version of path
-            // only redirects if there exists a child node with / as the path
-            // or if there is a wildcard node that can be accessed by adding a trailing slash
-            for (var i = 0; i < _this.childKeys.length; i++) {
-                if (_this.childKeys[i] == '/') {
-                    _this = _this.children[i]
-                    if ((_this.path.length == 1 && _this.handler != null) ||
-                        (_this.nodeType == WILDCARD && _this.children[0].handler != null)) {
-                            handler = _this.handler || _this.children[0].handler
-                    }
+            if (passing) {
+                passed.pop()
+            }
+        }
 
-                    return {
-                        params: params,
-                        handler: handler,
-                        stack: executionStack.concat(handler)
-                    }
-                }
+        delete params[name]
+
+        return null
+    }
+
+    /**
+     * Function matches the rest of the path after node.
+     * Tries the static child, then each param child and then the wildcard child,
+     * stepping back to the next one when a branch dead-ends.
+     * A value a param's constraint refuses falls through to the params after it.
+     *
+     * @param {Node} node
+     * @param {string} path
+     * @return {Node|null}
+     */
+    function matchChildren(node, path) {
+        if (path.length == 0 && node.handler != null) {
+            return node
+        }
+
+        if (path.length > 0) {
+            var i = node.childKeys.indexOf(path[0])
+            var found = i < 0 ? null : match(node.children[i], path)
+
+            for (var j = 0; found == null && group == null && j < node.paramChildren.length; j++) {
+                found = match(node.paramChildren[j], path)
+            }
+
+            if (found != null || group != null) {
+                return found
             }
+        }
+
+        // variable value is everything after /*, including the /
+        if (node.wildcardChild != null) {
+            var value = decodeValue('/' + originalPath(path))
 
-            return {
-                params: params,
-                handler: handler,
-                stack: executionStack.concat(handler)
+            if (value == null) {
+                malformed = true
+                return null
             }
+
+            params[variableName(node.wildcardChild.path)] = value
+
+            return node.wildcardChild
         }
 
+        return null
+    }
 
+    /**
+     * Function records a node with middleware as passed when the path goes on at a segment boundary,
+     * its middleware covers the node's path and the paths below it.
+     *
+     * @param {Node} node
+     * @param {string} path     | rest of the path after the node
+     * @return {boolean}        | true if the node was recorded
+     */
+    function pass(node, path) {
+        if (node === root || node.middleware.length + node.errorHandlers.length == 0) {
+            return false
+        }
 
-        // if left over path is a slash or if paths match except for a trailing slash then use current handler
-        if ((path == '/') || (_this.path.length == path.length + 1 && _this.path[path.length] == '/' && path == _this.path.substr(0, _this.path.length - 1) && _this.handler != null)) {
-            handler = _this.handler
+        if (path.length > 0 && path[0] != '/') {
+            return false
         }
 
+        passed.push(node)
+
+        if (passed.length > reached.length) {
+            reached = passed.slice()
+        }
+
+        return true
+    }
+
+    /**
+     * Function collects the middleware of passed nodes, outermost first,
+     * and their error handlers, innermost first.
+     *
+     * @param {array} nodes
+     * @return {object}
+     */
+    function pathLayers(nodes) {
+        return {
+            middleware: [].concat(...nodes.map(function (node) { return node.middleware })),
+            errorHandlers: [].concat(...nodes.slice().reverse().map(function (node) { return node.errorHandlers }))
+        }
+    }
+
+    /**
+     * Function returns what is left of the path in its original case.
+     *
+     * @param {string} path
+     * @return {string}
+     */
+    function originalPath(path) {
+        return original.substr(original.length - path.length)
+    }
+
+    /**
+     * Function builds a layer for each callback registered for a matched param.
+     * A callback registered on more than one router is only run once.
+     *
+     * @return {array}
+     */
+    function paramLayers() {
+        var layers = []
+
+        Object.keys(params).forEach(function (name) {
+            var callbacks = (paramHandlers[name] || []).filter(function (callback, i, callbacks) {
+                return callbacks.indexOf(callback) == i
+            })
+
+            callbacks.forEach(function (callback) {
+                layers.push(paramLayer(name, callback))
+            })
+        })
+
+        return layers
+    }
+
+    /**
+     * Function picks the handler of a node for the version the request accepts.
+     * A node without versions has the same handler for every version.
+     *
+     * @param {Node} node
+     * @return {object|null}    | { version, handler, middleware }, null if no version is in range
+     */
+    function pick(node) {
+        if (node.versions.length == 0) {
+            return { version: null, handler: node.handler, middleware: node.routeMiddleware }
+        }
+
+        // versions are newest first
+        return node.versions.find(function (entry) {
+            return range == null || range(entry.parsed)
+        }) || null
+    }
+
+    /**
+     * Function builds the return value of buildStack.
+     * Middleware of the nodes passed follows the router's middleware, without a route
+     * it is the middleware of the nodes reached before the path stopped matching.
+     * When a route is found the execution stack ends with the param callbacks,
+     * the route's own middleware and its handler.
+     *
+     * @param {Node} node
+     * @return {object}
+     */
+    function result(node) {
+        var route = node != null ? pick(node) : null
+        var handler = route != null ? route.handler : null
+        var layers = pathLayers(node != null ? passed : reached)
+        var middleware = executionStack.concat(layers.middleware)
+
         return {
             params: params,
             handler: handler,
-            stack: executionStack.concat(handler)
+            middleware: middleware,
+            stack: handler != null ? middleware.concat(paramLayers(), route.middleware, handler) : middleware,
+            errorStack: layers.errorHandlers.concat(errorStack),
+            baseUrl: '',
+            version: route != null ? route.version : null,
+            versions: node != null && route == null ? node.versions.map(function (entry) { return entry.version }) : null,
+            notFound: notFound,
+            trailingSlash: handler != null ? trailingSlash : null,
+            malformed: handler == null && malformed
         }
     }
 }
 
+/**
+ * Function gets the handler registered for a route path, or null if there is none.
+ * Path is in the same format it was added with.
+ *
+ * @param {string} path
+ * @return {function|null}
+ */
+Node.prototype.getRoute = function (path) {
+    // a route with optional params is found by its longest form
+    var nodes = findRoute(this, optionalPaths(path).pop())
+
+    return nodes ? nodes[nodes.length - 1].handler : null
+}
+
+/**
+ * Function replaces the handler and middleware of an existing route.
+ * A route added with versions is replaced one version at a time.
+ *
+ * @param {string} path
+ * @param {function} handler
+ * @param {array} middleware    | optional
+ * @param {string} version      | optional, needed for a route added with versions
+ * @return {boolean}            | false if the path has no route
+ */
+Node.prototype.replaceRoute = function (path, handler, middleware = [], version = null) {
+    var paths = optionalPaths(path)
+    var parsed = version != null ? semver.parse(version) : null
+
+    // each form of a route with optional params has to be there
+    var routes = paths.map(function (path) {
+        return findRoute(this, path)
+    }, this)
+
+    if (routes.includes(null)) {
+        return false
+    }
+
+    var nodes = routes.map(function (nodes) {
+        return nodes[nodes.length - 1]
+    })
+
+    // each form has to have the version, or have none when no version is given
+    var found = nodes.every(function (node) {
+        if (node.versions.length > 0 && version == null) {
+            throw new Error(`A version is needed to replace a route added with versions`)
+        }
+
+        return version == null || node.versions.some(function (entry) {
+            return parsed != null && semver.compare(entry.parsed, parsed) == 0
+        })
+    })
+
+    if (!found) {
+        return false
+    }
+
+    nodes.forEach(function (node) {
+        if (version == null) {
+            node.handler = handler
+            node.routeMiddleware = middleware
+            return
+        }
+
+        node.versions.forEach(function (entry) {
+            if (semver.compare(entry.parsed, parsed) == 0) {
+                entry.handler = handler
+                entry.middleware = middleware
+            }
+        })
+
+        node.handler = node.versions[0].handler
+        node.routeMiddleware = node.versions[0].middleware
+    })
+
+    return true
+}
+
+/**
+ * Function removes a route from the radix tree.
+ *
+ * Nodes left without a handler or children are removed, and a node left with
+ * a single static child is merged with it. childKeys, priority and maxVars are
+ * rebuilt on the way back up to the root. Children that end up with equal
+ * priority keep their current order, which may differ from the order they
+ * had before the route was added.
+ *
+ * @param {string} path
+ * @return {boolean}            | false if the path has no route
+ */
+Node.prototype.removeRoute = function (path) {
+    var paths = optionalPaths(path)
+
+    // a route with optional params is removed in each of its forms
+    if (paths.length > 1) {
+        if (!paths.every(function (path) { return findRoute(this, path) != null }, this)) {
+            return false
+        }
+
+        paths.forEach(function (path) {
+            this.removeRoute(path)
+        }, this)
+
+        return true
+    }
+
+    var nodes = findRoute(this, path)
+
+    if (!nodes) {
+        return false
+    }
+
+    // routes under a group are removed from the sub-router's tree
+    var root = nodes[0]
+    var node = nodes[nodes.length - 1]
+
+    node.handler = null
+    node.routeMiddleware = []
+    node.versions = []
+
+    for (var i = nodes.length - 1; i >= 0; i--) {
+        node = nodes[i]
+
+        // undo the priority added for the route by addRoute
+        node.priority--
+
+        // empty node, detach it from its parent
+        // a node holding middleware for its path is kept
+        if (i > 0 && node.handler == null && childNodes(node).length == 0 &&
+            node.middleware.length + node.errorHandlers.length == 0) {
+            var parent = nodes[i - 1]
+
+            if (node.nodeType == PARAM) {
+                parent.paramChildren = parent.paramChildren.filter(function (child) {
+                    return child !== node
+                })
+            } else if (parent.wildcardChild === node) {
+                parent.wildcardChild = null
+            } else {
+                parent.children = parent.children.filter(function (child) {
+                    return child !== node
+                })
+            }
+
+            continue
+        }
+
+        // node only leads to a single static child, fold the child into it
+        var child = node.children[0]
+        if (node.handler == null && childNodes(node).length == 1 && node.children.length == 1 &&
+            (node.nodeType == STATIC || node.nodeType == ROOT) && child.nodeType == STATIC &&
+            (node.nodeType == ROOT || node.middleware.length + node.errorHandlers.length == 0) &&
+            child.middleware.length + child.errorHandlers.length == 0) {
+
+            node.path += child.path
+            node.children = child.children
+            node.paramChildren = child.paramChildren
+            node.wildcardChild = child.wildcardChild
+            node.handler = child.handler
+            node.routeMiddleware = child.routeMiddleware
+            node.versions = child.versions
+        }
+
+        node.refresh()
+    }
+
+    // tree has no routes left
+    if (root.handler == null && childNodes(root).length == 0) {
+        root.path = ''
+    }
+
+    return true
+}
+
+/**
+ * Function rebuilds childKeys and maxVars from the node's children
+ * and puts the children in descending priority order.
+ */
+Node.prototype.refresh = function () {
+    this.children.sort(function (a, b) {
+        return b.priority - a.priority
+    })
+
+    this.childKeys = this.children.map(function (child) {
+        return child.path[0]
+    }).join('')
+
+    this.maxVars = childNodes(this).reduce(function (max, child) {
+        return Math.max(max, child.maxVars)
+    }, 0) + pathVariables(this.path)
+}
+
+/**
+ * Function lists every route under the node by walking the radix tree.
+ * Group nodes are followed into the tree of their sub-router.
+ *
+ * Each route is of format:
+ * {
+ *   path:          full path from the root
+ *   handler:       function
+ *   middleware:    number of middleware collected on the way to the route
+ *   version:       version the route was added for, null if it has none
+ * }
+ *
+ * A route added with versions is listed once for each version.
+ * Middleware of the root counts for every route, any other node's
+ * only for routes that go on at a segment boundary after it.
+ *
+ * @param {string} method
+ * @param {string} prefix       | optional
+ * @param {number} middleware   | optional
+ * @return {array}
+ */
+Node.prototype.routes = function (method, prefix = '', middleware = 0) {
+    var path = prefix + this.path
+    var routes = []
+
+    var covered = middleware + this.middleware.length
+
+    var entries = this.versions.length > 0 ? this.versions : [{ version: null, handler: this.handler, middleware: this.routeMiddleware }]
+
+    if (this.nodeType == GROUP) {
+        entries.forEach(function (entry) {
+            subTree(entry.handler, method).routes(method, path, covered).forEach(function (route) {
+                // routes of a sub-router added with a version are for that version
+                route.version = route.version || entry.version
+                routes.push(route)
+            })
+        })
+
+        return routes
+    }
+
+    if (this.handler != null) {
+        entries.forEach(function (entry) {
+            routes.push({
+                path: path,
+                handler: entry.handler,
+                middleware: covered + entry.middleware.length,
+                version: entry.version
+            })
+        })
+    }
+
+    childNodes(this).forEach(function (child) {
+        var boundary = this.nodeType == ROOT || child.path[0] == '/'
+        routes = routes.concat(child.routes(method, path, boundary ? covered : middleware))
+    }, this)
+
+    return routes
+}
+
+/**
+ * Function renders the radix tree under the node, one row per node.
+ *
+ * Each row is of format: [path, nodeType, priority]
+ * path is drawn with the branches leading to it.
+ *
+ * @param {string} method
+ * @param {string} indent       | optional
+ * @param {string} branch       | optional
+ * @return {array}
+ */
+Node.prototype.print = function (method, indent = '', branch = '') {
+    var rows = [[indent + branch + this.path, this.nodeType, this.priority]]
+    var children = childNodes(this)
+
+    if (this.nodeType == GROUP) {
+        // a sub-router without routes for the method has nothing to draw
+        var root = subTree(this.handler, method)
+        children = root.path.length > 0 || root.children.length > 0 ? [root] : []
+    }
+
+    indent += branch == '' ? '' : branch == '├ ' ? '| ' : '  '
+
+    children.forEach(function (child, i) {
+        rows = rows.concat(child.print(method, indent, i == children.length - 1 ? '└ ' : '├ '))
+    })
+
+    return rows
+}
+
 /**
  * Function takes the index of a child node, updates its priority and reorders children and childKeys
  *
@@ -610,27 +1215,280 @@ Node.prototype.reprioritize = function (index) {
     var child = this.children[index]
     child.priority++
 
-    this.children.sort(function (a, b) {
-        return a.priority < b.priority
+    // keys are sorted along with their children, children of equal priority keep their order
+    var keys = this.childKeys
+    var sorted = this.children.map(function (child, i) {
+        return { child: child, key: keys[i] }
+    }).sort(function (a, b) {
+        return b.child.priority - a.child.priority
     })
 
-    var newIndex = index
-    for (var i = 0; i < this.children.length; i++) {
-        if (this.children[i].path == child.path) {
-            newIndex = i
-            break
+    this.children = sorted.map(function (entry) {
+        return entry.child
+    })
+    this.childKeys = sorted.map(function (entry) {
+        return entry.key
+    }).join('')
+
+    return this.children.indexOf(child)
+}
+
+/**
+ * Adds the handler of a route for versions, on the node of each form of the path.
+ * The node's versions are kept newest first and the newest is the node's handler,
+ * so the node counts as a route like any other.
+ *
+ * @param {Node} root
+ * @param {string} path
+ * @param {function|Router} handler
+ * @param {boolean} group
+ * @param {array} middleware
+ * @param {string|array} versions
+ */
+function addVersions(root, path, handler, group, middleware, versions) {
+    var parsed = [].concat(versions).map(function (version) {
+        var numbers = semver.parse(version)
+
+        if (numbers == null) {
+            throw new Error(`Invalid version ${version}`)
+        }
+
+        return numbers
+    })
+
+    var paths = optionalPaths(path)
+
+    // all forms are checked first so none are added if one is already taken
+    paths.forEach(function (path) {
+        var node = routeNode(path)
+
+        if (node == null) {
+            return
         }
+
+        if (node.versions.length == 0 || (node.nodeType == GROUP) != group) {
+            throw new Error(`A handler is already registered for path`)
+        }
+
+        parsed.forEach(function (version) {
+            if (node.versions.some(function (entry) { return semver.compare(entry.parsed, version) == 0 })) {
+                throw new Error(`Version ${version.join('.')} is already registered for path`)
+            }
+        })
+    })
+
+    paths.forEach(function (path) {
+        var node = routeNode(path)
+
+        if (node == null) {
+            root.addRoute(path, handler, group, middleware)
+            node = routeNode(path)
+        }
+
+        parsed.forEach(function (version) {
+            node.versions.push({ version: version.join('.'), parsed: version, handler: handler, middleware: middleware })
+        })
+
+        node.versions.sort(function (a, b) {
+            return semver.compare(b.parsed, a.parsed)
+        })
+
+        node.handler = node.versions[0].handler
+        node.routeMiddleware = node.versions[0].middleware
+    })
+
+    /**
+     * Function finds the node of the route for a form of the path, null if it has no route.
+     *
+     * @param {string} path
+     * @return {Node|null}
+     */
+    function routeNode(path) {
+        var nodes = findRoute(root, path, false)
+        return nodes != null && nodes[nodes.length - 1].handler != null ? nodes[nodes.length - 1] : null
     }
+}
+
+/**
+ * Combines the param callbacks of a router with those inherited from the routers above it.
+ * Inherited callbacks run first.
+ *
+ * @param {object} inherited
+ * @param {object} paramHandlers
+ * @return {object}
+ */
+function mergeParamHandlers(inherited, paramHandlers) {
+    var merged = Object.assign({}, inherited)
+
+    Object.keys(paramHandlers).forEach(function (name) {
+        merged[name] = (merged[name] || []).concat(paramHandlers[name])
+    })
+
+    return merged
+}
+
+/**
+ * Wraps a param callback as a layer of the execution stack.
+ *
+ * The callback is called with (req, res, next, value, name). A value passed
+ * as the second argument of next, or returned through a promise, is stored
+ * in req.resolved under the param's name.
+ *
+ * @param {string} name
+ * @param {function} callback
+ * @return {function}
+ */
+function paramLayer(name, callback) {
+    return function (req, res, next) {
+        var done = false
+
+        // callback finishes by calling next or settling the promise it returns, whichever is first
+        function resolve(err, value) {
+            if (done) return
+            done = true
+
+            if (err == null && value !== undefined) {
+                req.resolved[name] = value
+            }
 
-    // rebuild childKeys string: characters before new position + repositioned indice + characters from new position to old position + remaining characters
-    if (newIndex != index) {
-        this.childKeys = this.childKeys.substr(0, newIndex) +
-            this.childKeys.substr(index, index + 1) +
-            this.childKeys.substr(newIndex, index) +
-            this.childKeys.substr(index + 1)
+            next(err)
+        }
+
+        var result = callback(req, res, resolve, req.params[name], name)
+
+        if (result && typeof result.then == 'function') {
+            result.then(function (value) {
+                resolve(null, value)
+            }, function (err) {
+                resolve(err == null ? new Error('Promise rejected without a reason') : err)
+            })
+        }
+    }
+}
+
+/**
+ * Finds the nodes on the way to the node a route path was added on, the route's node last.
+ * Routes under a group are looked up in the group's tree.
+ *
+ * With route false the node for the path is found even without a handler,
+ * only in the root's own tree.
+ *
+ * @param {Node} root
+ * @param {string} path
+ * @param {boolean} route       | optional
+ * @return {array|null}         | null if the path has no route
+ */
+function findRoute(root, path, route = true) {
+    var _this = root
+    var nodes = []
+
+    // path is only trimmed from the front, the end of original is what is left of path
+    var original = path
+
+    if (!root.caseSensitive) {
+        path = lowerCaseRoute(path)
     }
 
-    return newIndex
+    // a param node is only the route's param if the name and constraint are the same
+    while (_this.nodeType == PARAM ? splitRoute(path)[0] == _this.path : path.substr(0, _this.path.length) == _this.path) {
+        nodes.push(_this)
+        path = path.substr(_this.path.length)
+
+        if (_this.nodeType == GROUP) {
+            if (!route) {
+                return path.length == 0 ? nodes : null
+            }
+
+            var sub = subTree(_this.handler, root.method)
+
+            return path.length > 0 ?
+                findRoute(sub, original.substr(original.length - path.length)) : null
+        }
+
+        if (path.length == 0) {
+            return _this.handler != null || !route ? nodes : null
+        }
+
+        // variable children are not in childKeys
+        if (path[0] == ':') {
+            var param = splitRoute(path)[0]
+
+            _this = _this.paramChildren.find(function (child) {
+                return child.path == param
+            })
+        } else if (path[0] == '*') {
+            _this = _this.wildcardChild
+        } else {
+            _this = _this.children[_this.childKeys.indexOf(path[0])]
+        }
+
+        if (!_this) {
+            return null
+        }
+    }
+
+    return null
+}
+
+/**
+ * Gets the children of a node, static children first then the param children and wildcard child
+ *
+ * @param {Node} node
+ * @return {array}
+ */
+function childNodes(node) {
+    return node.children.concat(node.paramChildren, node.wildcardChild || [])
+}
+
+/**
+ * Gets the root node a group node hands routing over to,
+ * the sub-router's current tree for the method
+ *
+ * @param {Router} handler
+ * @param {string} method
+ * @return {Node}
+ */
+function subTree(handler, method) {
+    return handler.tree(method)
+}
+
+/**
+ * Percent-decodes a param or wildcard value, null if its encoding is malformed
+ *
+ * @param {string} value
+ * @return {string|null}
+ */
+function decodeValue(value) {
+    try {
+        return decodeURIComponent(value)
+    } catch (err) {
+        return null
+    }
+}
+
+/**
+ * Lowercases the ascii letters of a path
+ * Other characters are left alone so the path's length does not change
+ *
+ * @param {string} path
+ * @return {string}
+ */
+function lowerCase(path) {
+    return path.replace(/[A-Z]+/g, function (letters) {
+        return letters.toLowerCase()
+    })
+}
+
+/**
+ * Lowercases a route path, variable names keep their case as they are keys in params
+ *
+ * @param {string} path
+ * @return {string}
+ */
+function lowerCaseRoute(path) {
+    return splitRoute(path).map(function (part) {
+        return part[0] == ':' || part[0] == '*' ? part : lowerCase(part)
+    }).join('')
 }
 
 /**
@@ -640,16 +1498,156 @@ Node.prototype.reprioritize = function (index) {
  * @return {number}
  */
 function pathVariables(path) {
-    var numVars = 0
+    return splitRoute(path).filter(function (part) {
+        return part[0] == ':' || part[0] == '*'
+    }).length
+}
+
+/**
+ * Splits a path into its static text and its variables
+ * /img/:name.:ext(png|jpg) gives ['/img/', ':name', '.', ':ext(png|jpg)']
+ *
+ * @param {string} path
+ * @return {array}
+ */
+function splitRoute(path) {
+    var parts = []
+    var start = 0
 
     for (var i = 0; i < path.length; i++) {
-        if (path[i] !== ':' && path[i] !== '*') continue
+        if (path[i] != ':' && path[i] != '*') continue
+
+        if (i > start) {
+            parts.push(path.substring(start, i))
+        }
+
+        // param names are word characters and can be followed by a constraint
+        // wildcard names run to the end of the path segment
+        var end = i + 1
+        if (path[i] == ':') {
+            while (end < path.length && /\w/.test(path[end])) {
+                end++
+            }
+
+            if (path[end] == '(') {
+                end = constraintEnd(path, end)
+            }
+        } else {
+            while (end < path.length && path[end] != '/') {
+                end++
+            }
+        }
 
-        numVars++
+        parts.push(path.substring(i, end))
+        start = end
+        i = end - 1
     }
 
-    return numVars
+    if (start < path.length) {
+        parts.push(path.substr(start))
+    }
+
+    return parts
 }
 
+/**
+ * Expands a path ending in optional params into every path it matches, shortest first
+ * /archive/:year?/:month? gives ['/archive', '/archive/:year', '/archive/:year/:month']
+ *
+ * @param {string} path
+ * @return {array}
+ */
+function optionalPaths(path) {
+    var parts = splitRoute(path)
+    var paths = []
+    var optional = false
+
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i]
+
+        if (part[0] == '?') {
+            var before = parts[i - 2] || ''
+
+            // an optional param has to fill its path segment
+            if (parts[i - 1][0] != ':' || before[before.length - 1] != '/') {
+                throw new Error(`optional params must fill their path segment`)
+            }
+
+            // only more optional params can follow
+            if (part != (i == parts.length - 1 ? '?' : '?/')) {
+                throw new Error(`optional params must be at the end of the path`)
+            }
+
+            paths.push(parts.slice(0, i - 1).join('').slice(0, -1) || '/')
+            parts[i] = part.substr(1)
+            optional = true
+
+        } else if (optional && (part[0] != ':' || (parts[i + 1] || '')[0] != '?')) {
+            throw new Error(`optional params must be at the end of the path`)
+        }
+    }
+
+    return paths.concat(parts.join(''))
+}
+
+/**
+ * Finds the end of a param constraint
+ *
+ * @param {string} path
+ * @param {number} start        | index of the opening parenthesis
+ * @return {number}             | index after the closing parenthesis
+ */
+function constraintEnd(path, start) {
+    var depth = 0
+
+    for (var i = start; i < path.length; i++) {
+        if (path[i] == '\\') {
+            i++
+        } else if (path[i] == '/') {
+            break
+        } else if (path[i] == '(') {
+            depth++
+        } else if (path[i] == ')' && --depth == 0) {
+            return i + 1
+        }
+    }
+
+    throw new Error(`param constraint must be closed and can not contain /`)
+}
+
+/**
+ * Gets the name of a param or wildcard from its path
+ *
+ * @param {string} variable     | :name, :name(regex), *name or /*name
+ * @return {string}
+ */
+function variableName(variable) {
+    var name = variable.substr(variable.indexOf(':') + 1 || variable.indexOf('*') + 1)
+    var constraint = name.indexOf('(')
+
+    return constraint < 0 ? name : name.substr(0, constraint)
+}
+
+/**
+ * Compiles the constraint of a param, null if it has none
+ *
+ * @param {string} variable     | :name(regex)
+ * @param {boolean} caseSensitive
+ * @return {RegExp|null}
+ */
+function paramConstraint(variable, caseSensitive) {
+    var start = variable.indexOf('(')
+
+    if (start < 0) {
+        return null
+    }
+
+    return new RegExp(`^(?:${variable.substring(start + 1, variable.length - 1)})$`, caseSensitive ? '' : 'i')
+}
+
+
+// shared with the router so urls are checked the way paths are matched
+Node.paramConstraint = paramConstraint
+
 
 module.exports = Node
\ No newline at end of file
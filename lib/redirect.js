@@ -0,0 +1,26 @@
+/**
+ * Function for generic redirect response
+ *
+ * Without a status GET and HEAD requests get a 301,
+ * other methods get a 308 so the method and body are kept.
+ *
+ * @param {ClientRequest} req
+ * @param {ServerResponse} res
+ * @param {string} location
+ * @param {number} status       | optional
+ *
+ */
+module.exports = function (req, res, location, status) {
+    if (res.headersSent) {
+        return
+    }
+
+    if (typeof status !== 'number') {
+        status = req.method == 'GET' || req.method == 'HEAD' ? 301 : 308
+    }
+
+    res.statusCode = status
+    res.setHeader('Location', location)
+    res.setHeader('Content-Type', 'text/plain')
+    res.end(`Redirecting to ${location}`)
+}
\ No newline at end of file
@@ -1,4 +1,5 @@
 var parser = require('url').parse
+var accepts = require('./accepts')
 
 /**
  * Extends request object by parsing url into constituent parts
@@ -12,6 +13,14 @@ module.exports = function (req, res) {
 
     var urlObject = parser(req.url, true)
 
-    req.path = urlObject.pathname.toLowerCase() || '/'
+    // kept as it came in, req.path is cleaned before routing
+    req.originalUrl = req.url
+
+    req.path = urlObject.pathname || '/'
     req.query = urlObject.query || {}
+
+    // best of the types given that the Accept header allows, see accepts.js
+    req.accepts = function (...types) {
+        return accepts(this.headers.accept, types.flat())
+    }
 }
\ No newline at end of file
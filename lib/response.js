@@ -1,7 +1,8 @@
 var send = require('./send')
+var format = require('./format')
 
 /**
- * Extends response object with send function
+ * Extends response object with send and format functions
  *
  * @param {ClientRequest} req
  * @param {ServerResponse} res
@@ -9,4 +10,8 @@ var send = require('./send')
  */
 module.exports = function (req, res) {
     res.send = send
+
+    res.format = function (handlers) {
+        return format(req, this, handlers)
+    }
 }
\ No newline at end of file
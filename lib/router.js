@@ -1,8 +1,17 @@
+var HTTP_METHODS = require('http').METHODS
+var parser = require('url').parse
 var request = require('./request')
 var response = require('./response')
 var notFound = require('./notfound')
+var serverError = require('./error')
+var redirect = require('./redirect')
+var cleanPath = require('./cleanpath')
 var serveStatic = require('./static')
 var Node = require('./node')
+var semver = require('./version')
+var body = require('./body')
+var multipart = require('./multipart')
+var vary = require('./format').vary
 
 
 /**
@@ -18,39 +27,145 @@ const METHODS = [
     'DELETE'
 ]
 
+/**
+ * Ways of handling a path that only matches a route with a trailing slash added or removed
+ *
+ * match:       serve the route (default)
+ * redirect:    redirect to the path as the route defines it
+ * strict:      no match
+ */
+const TRAILING_SLASH = [
+    'match',
+    'redirect',
+    'strict'
+]
+
+/**
+ * Ways of handling a path that is not in its clean form, such as /a//b/../c
+ *
+ * match:       route the clean path (default)
+ * redirect:    redirect to the clean path when it has a route
+ */
+const CLEAN_PATH = [
+    'match',
+    'redirect'
+]
+
+/**
+ * Finds the variables of a route path along with the / before them
+ *
+ * :name, :name(regex) and :name? for params, *name for wildcards
+ * a constraint can hold one level of nested parentheses
+ */
+const VARIABLE = /(\/?)(?::(\w+)(\((?:[^()/\\]|\\.|\([^()/]*\))*\))?(\?)?|\*([^/]+))/g
+
 /**
  * Router constructor
+ *
+ * options:
+ * {
+ *   trailingSlash: 'match' | 'redirect' | 'strict',
+ *   cleanPath: 'match' | 'redirect',
+ *   caseSensitive: boolean
+ * }
+ *
+ * trailingSlash and cleanPath are read from the router serve is called on.
+ * caseSensitive applies to the router's own routes, including in a group.
+ *
+ * @param {object} options      | optional
+ *
  */
-function Router() {
+function Router(options = {}) {
     this.trees = {}
+
+    // roots for methods without a tree of their own, built once and
+    // dropped when what they start with changes, see findRoot
+    this.fallbackRoots = {}
+
+    this.options = {
+        trailingSlash: options.trailingSlash || 'match',
+        cleanPath: options.cleanPath || 'match',
+        caseSensitive: options.caseSensitive === true
+    }
+
+    if (!TRAILING_SLASH.includes(this.options.trailingSlash)) {
+        throw new Error(`trailingSlash must be one of: ${TRAILING_SLASH.join(', ')}`)
+    }
+
+    if (!CLEAN_PATH.includes(this.options.cleanPath)) {
+        throw new Error(`cleanPath must be one of: ${CLEAN_PATH.join(', ')}`)
+    }
+
+    // middleware and error handlers defined for all methods
+    // kept so trees created after they are defined start with them
+    this.middleware = []
+    this.errorHandlers = []
+
+    // middleware for a path under all methods, added to trees created later
+    this.pathMiddleware = []
+
+    // custom handler for requests without a matching route
+    this.notFoundHandler = null
+
+    // callbacks for named params, keyed by param name
+    // shared with every tree of the router
+    this.paramHandlers = {}
+
+    // paths of named routes, keyed by name
+    this.names = {}
+
+    // sub-routers mounted with group
+    this.groups = []
+
+    // routers for hosts, matched against the Host header before the method trees
+    this.hosts = []
 }
 
 /**
  * General use function for adding routes to router
  *
+ * A named route can be turned back into a url with router.url(name, params).
+ * The same name can be used for one path under several methods.
+ *
+ * handler can be an array of functions ending in the handler, the functions
+ * before it are middleware for the route. They run after the router's
+ * middleware and param callbacks.
+ *
+ * An object at the start of the array holds options for the route:
+ * {
+ *   version: '2.0.0' | ['1.0.0', '1.1.0']
+ * }
+ * A path added with versions can be added again for other versions, see serve
+ * for how the version of a request is read.
+ *
  * @param {string} method
  * @param {string} path
- * @param {function} handler
+ * @param {function|array} handler
  * @param {boolean} group       | optional
+ * @param {string} name         | optional
  *
  */
-Router.prototype.handle = function (method, path, handler, group = false) {
+Router.prototype.handle = function (method, path, handler, group = false, name = null) {
     if (path[0] != '/') {
         throw new Error('Path must begin with /')
     }
 
+    var route = routeHandlers(handler)
+    handler = route.handler
+
     if (typeof handler !== 'function' && typeof handler !== 'object') {
         throw new Error('Must pass handler for route')
     }
 
-    var root = this.trees[method]
-
-    if (typeof root == 'undefined') {
-        root = new Node()
-        this.trees[method] = root
+    if (name != null && this.names[name] != null && this.names[name] != path) {
+        throw new Error(`A route is already named ${name}`)
     }
 
-    root.addRoute(path, handler, group)
+    getRoot(method, this).addRoute(path, handler, group, route.middleware, route.options.version)
+
+    if (name != null) {
+        this.names[name] = path
+    }
 }
 
 /**
@@ -62,61 +177,317 @@ Router.prototype.handle = function (method, path, handler, group = false) {
  *   // do stuff
  * }
  *
+ * Middleware for the route alone can be passed before the handler,
+ * router.get(path, auth, validate, handler), on its own or in arrays.
+ * Route options go first, router.get(path, { version: '2.0.0' }, handler).
+ *
+ * @param {string} name         | optional
  * @param {string} path
- * @param {function} handler
+ * @param {...function} handlers
  *
  */
 METHODS.forEach(function (method) {
-    Router.prototype[method.toLowerCase()] = function (path, handler) {
-        this.handle(method, path, handler)
+    Router.prototype[method.toLowerCase()] = function (name, path, ...handlers) {
+        if (typeof path != 'string') {
+            handlers.unshift(path)
+            path = name
+            name = null
+        }
+
+        this.handle(method, path, handlers, false, name)
     }
 })
 
 
+/**
+ * Function for adding a route for any HTTP method,
+ * including those without a helper such as PROPFIND, REPORT or PURGE.
+ *
+ * @param {string} method
+ * @param {string} name         | optional
+ * @param {string} path
+ * @param {...function} handlers
+ *
+ */
+Router.prototype.on = function (method, name, path, ...handlers) {
+    if (typeof path != 'string') {
+        handlers.unshift(path)
+        path = name
+        name = null
+    }
+
+    method = String(method).toUpperCase()
+
+    if (!HTTP_METHODS.includes(method)) {
+        throw new Error(`Unknown HTTP method: ${method}`)
+    }
+
+    this.handle(method, path, handlers, false, name)
+}
+
+
+/**
+ * Function for adding a route to every known method.
+ * Known methods are the REST methods and any other method the router has a tree for.
+ *
+ * @param {string} name         | optional
+ * @param {string} path
+ * @param {...function} handlers
+ *
+ */
+Router.prototype.all = function (name, path, ...handlers) {
+    if (typeof path != 'string') {
+        handlers.unshift(path)
+        path = name
+        name = null
+    }
+
+    var methods = METHODS.concat(Object.keys(this.trees).filter(function (method) {
+        return !METHODS.includes(method)
+    }))
+
+    methods.forEach(function (method) {
+        this.handle(method, path, handlers, false, name)
+    }, this)
+}
+
+
+/**
+ * Function removes a route from the router.
+ *
+ * Path is given in the same format it was added with.
+ * Names left without a route under any method are removed with it.
+ *
+ * @param {string} method
+ * @param {string} path
+ *
+ */
+Router.prototype.remove = function (method, path) {
+    if (!findRoot(method, this).removeRoute(path)) {
+        throw new Error(`No route registered for ${method} ${path}`)
+    }
+
+    var routed = routedMethods(this).some(function (method) {
+        return findRoot(method, this).getRoute(path) != null
+    }, this)
+
+    if (!routed) {
+        Object.keys(this.names).forEach(function (name) {
+            if (this.names[name] == path) {
+                delete this.names[name]
+            }
+        }, this)
+    }
+}
+
+
+/**
+ * Function replaces the handler of an existing route.
+ *
+ * The route's own middleware is replaced with any passed before the handler.
+ * A route added with versions is replaced one version at a time,
+ * router.replace(method, path, { version: '2.0.0' }, handler).
+ *
+ * @param {string} method
+ * @param {string} path
+ * @param {...function} handlers
+ *
+ */
+Router.prototype.replace = function (method, path, ...handlers) {
+    var route = routeHandlers(handlers)
+
+    if (typeof route.handler !== 'function') {
+        throw new Error('Must pass handler for route')
+    }
+
+    if (!findRoot(method, this).replaceRoute(path, route.handler, route.middleware, route.options.version)) {
+        throw new Error(`No route registered for ${method} ${path}`)
+    }
+}
+
+
 /**
  * Function for defining a group.
  *
  * A group is a collection of routes that share a common prefix.
  * Must pass a router to handle all routes in group.
  *
+ * The sub-router is mounted as it is, not copied. Its routes are looked up
+ * when a request comes in, so routes and methods added to it after it was
+ * grouped are served too. A group for * is mounted under every method.
+ *
+ * Options take the same form as a route's, a prefix can have a group
+ * for each version, router.group('/api', { version: '2.0.0' }, v2Router).
+ * A trailing slash on the prefix is dropped, /api/ is the same group as /api.
+ *
  * @param {string} method       | optional
  * @param {string} prefix
+ * @param {object} options      | optional
  * @param {Router} router
  *
  */
-Router.prototype.group = function (method, prefix, router) {
+Router.prototype.group = function (method, prefix, options, router) {
     if (method[0] == '/') {
-        router = prefix
-        prefix = method
-        method = '*'
+        [method, prefix, options, router] = ['*', method, prefix, options]
+    }
+
+    if (router == null) {
+        [options, router] = [{}, options]
     }
 
     if (typeof method == 'function') {
         throw new Error('Must provide prefix and router for a group')
     }
 
+    if (!HTTP_METHODS.includes(method) && method != '*') {
+        throw new Error("method must be an HTTP method or *")
+    }
+
     if (typeof router != 'object') {
         throw new Error('Must provide a router to handle routes for the group')
     }
 
+    // the sub-router's paths begin with a /, so /api/ is mounted as /api
+    if (typeof prefix == 'string' && prefix.length > 1) {
+        prefix = prefix.replace(/\/+$/, '') || '/'
+    }
+
+    // trees created later are given the group in newRoot
+    var methods = method == '*' ? Object.keys(this.trees) : [method]
+
+    methods.forEach(function (method) {
+        this.handle(method, prefix, [options, router], true)
+    }, this)
+
+    this.groups.push({ method: method, prefix: prefix, router: router, version: options.version })
+
     if (method == '*') {
-        METHODS.forEach(function (method) {
-            if (router.trees[method]) {
-                this.handle(method, prefix, router.trees[method], true)
-            }
-        }, this)
-    } else {
-        this.handle(method, prefix, router, true)
+        this.fallbackRoots = {}
+    }
+}
+
+
+/**
+ * Function for routing the requests of a host to a router.
+ *
+ * The pattern is matched against the Host header, without its port and
+ * without regard to case, before the method trees are searched. A label
+ * can hold params, :tenant.example.com, which are added to req.params
+ * and kept on their own in req.hostParams. Hosts without params are
+ * tried first, the rest in the order they were added.
+ *
+ * A request for a matching host is routed by the host's router alone,
+ * after this router's middleware. Other requests are routed as usual.
+ *
+ * @param {string} pattern
+ * @param {Router} router
+ *
+ */
+Router.prototype.host = function (pattern, router) {
+    if (typeof pattern != 'string' || pattern.length == 0) {
+        throw new Error('Must provide a host pattern')
+    }
+
+    if (typeof router != 'object') {
+        throw new Error('Must provide a router to handle requests for the host')
+    }
+
+    // without static text between them there is no telling where one param ends
+    if (/:\w+:/.test(pattern)) {
+        throw new Error('host params in a label must be separated by static text')
+    }
+
+    if (this.hosts.some(function (host) { return host.pattern == pattern.toLowerCase() })) {
+        throw new Error(`A router is already registered for host ${pattern}`)
+    }
+
+    // a param takes the whole label or the part of it between static text
+    var names = []
+    var source = pattern.replace(/:(\w+)|[.*+?^${}()|[\]\\]/g, function (part, name) {
+        if (name == null) {
+            return '\\' + part
+        }
+
+        names.push(name)
+        return '([^.]+)'
+    })
+
+    var host = {
+        pattern: pattern.toLowerCase(),
+        regex: new RegExp(`^${source}$`, 'i'),
+        names: names,
+        router: router
+    }
+
+    // hosts without params go ahead of the first one with params
+    var index = this.hosts.length
+
+    if (names.length == 0) {
+        index = this.hosts.findIndex(function (host) { return host.names.length > 0 })
+        index = index < 0 ? this.hosts.length : index
+    }
+
+    this.hosts.splice(index, 0, host)
+}
+
+
+/**
+ * Function builds the url for a named route.
+ *
+ * Params fill in the route's variables and are percent-encoded,
+ * a wildcard value keeps its slashes. Routes named in sub-routers
+ * are found with the prefix of the group they are mounted under.
+ *
+ * @param {string} name
+ * @param {object} params       | optional
+ * @return {string}
+ *
+ */
+Router.prototype.url = function (name, params = {}) {
+    var path = namedPath(name, this)
+    var caseSensitive = this.options.caseSensitive
+
+    if (path == null) {
+        throw new Error(`No route named ${name}`)
     }
+
+    var url = path.replace(VARIABLE, function (variable, slash, param, constraint, optional, wildcard) {
+        var value = params[param || wildcard]
+
+        variable = variable.substr(slash.length)
+
+        if (value == null) {
+            // an optional param is left out along with its segment
+            if (optional) {
+                return ''
+            }
+
+            throw new Error(`Missing value for ${variable} in route ${name}`)
+        }
+
+        // wildcard follows a / in the route, its value may also start with one
+        if (wildcard) {
+            return slash + String(value).replace(/^\//, '').split('/').map(encodeURIComponent).join('/')
+        }
+
+        if (constraint && !Node.paramConstraint(constraint, caseSensitive).test(value)) {
+            throw new Error(`Value for ${variable} in route ${name} does not match its constraint`)
+        }
+
+        return slash + encodeURIComponent(value)
+    })
+
+    return url || '/'
 }
 
 
 /**
  * The function use is for defining middleware on a router.
- * All middleware is applied to the root node of the router.
+ * Middleware is applied to the root node of the router, or with a path
+ * to the node for that path so it runs for the path and the paths under it.
  *
- * If you want specific middleware for a route or routes create
- * a group and add middleware to the sub-router.
+ * router.use('/admin', auth) runs auth for /admin and /admin/users
+ * but not for /administrator.
  *
  * middleware function format:
  * function (req, res, next) {
@@ -124,134 +495,870 @@ Router.prototype.group = function (method, prefix, router) {
  *      next()
  * }
  *
- * @param {string} method
+ * Middleware taking four arguments is registered as error handling
+ * middleware, see onError.
+ *
+ * @param {string} method       | optional
+ * @param {string} path         | optional
  * @param {function} middleware
  *
  */
-Router.prototype.use = function (method, middleware) {
-
-    if (typeof method == 'function') {
-        middleware = method
-        method = '*'
-    }
+Router.prototype.use = function (method, path, middleware) {
+    [method, path, middleware] = middlewareArgs(method, path, middleware)
 
-    if (!METHODS.includes(method) && method != '*') {
-        throw new Error("method must be one of the 7 REST methods or *")
+    if (!HTTP_METHODS.includes(method) && method != '*') {
+        throw new Error("method must be an HTTP method or *")
     }
     if (!middleware) {
         throw new Error("function requried to define middleware")
     }
 
-    // attach middlware to root
-    if (method == '*') {
-        //Attach to all trees, create root node if not exists
-        METHODS.forEach(function (method) {
-            addMiddleware(method, middleware, this)
-        })
-    } else {
-        addMiddleware(method, middleware, this)
-    }
-
+    var type = middleware.length == 4 ? 'errorHandlers' : 'middleware'
 
+    // attach middlware to root or the path's node
+    addMiddleware(method, path, type, middleware, this)
 }
 
 
 /**
- * Function sets up a catch all route for serving static files.
+ * The function onError is for defining error handling middleware on a router.
+ * Like use, handlers are applied to the root node of the router or the node for a path.
  *
- * Path needs to be of the format: /path/for/files/*filepath
+ * Error handlers run when a middleware or handler calls next(err), throws,
+ * or returns a promise that rejects. Handlers of a sub-router run before
+ * those of the router it is grouped under.
  *
- * The variable filepath will be passed into the serveStatic function
- * and will get file defined by path in filepath variable.
+ * error handler function format:
+ * function (err, req, res, next) {
+ *      // respond, or pass the error on
+ *      next(err)
+ * }
  *
- * To change the default static file directory from /public change
- * directory variable definition in static.js
+ * If no handler responds the default 500 response in error.js is used.
  *
- * @param {string} path
+ * @param {string} method       | optional
+ * @param {string} path         | optional
+ * @param {function} handler
  *
  */
-Router.prototype.static = function (path) {
-    if (path.substr(path.length - 10) != '/*filepath') {
-        throw new Error("Path for serving files must end in /*filepath")
+Router.prototype.onError = function (method, path, handler) {
+    [method, path, handler] = middlewareArgs(method, path, handler)
+
+    if (!HTTP_METHODS.includes(method) && method != '*') {
+        throw new Error("method must be an HTTP method or *")
+    }
+    if (typeof handler != 'function') {
+        throw new Error("function required to define an error handler")
     }
 
-    this.get(path, function (req, res, next) {
-        serveStatic(req, res, next)
-    })
+    addMiddleware(method, path, 'errorHandlers', handler, this)
 }
 
 
 /**
- * Function performs the functions in the execution stack in order.
+ * Function for defining a custom not found handler on a router.
  *
- * Also defines function next() locally and passes it into middleware and handlers
+ * The handler runs through the router's middleware stack when no route matches,
+ * a sub-router's handler is used for misses under its group's prefix.
+ * Without one the plain text response in notfound.js is used.
  *
- * @param {ClientRequest} req
- * @param {ServerResponse} res
- * @param {array} stack
+ * handler must be of format:
+ *
+ * function (req, res, next) {
+ *   // respond with a 404
+ * }
+ *
+ * @param {function} handler
  *
  */
-Router.prototype.walkStack = function (req, res, stack) {
+Router.prototype.notFound = function (handler) {
+    if (typeof handler != 'function') {
+        throw new Error("function required to define a not found handler")
+    }
 
-    next()
+    this.notFoundHandler = handler
 
-    function next() {
-        // var layer = stack[index++]
-        var layer = stack.shift()
-        if (!layer) return
+    Object.keys(this.trees).forEach(function (method) {
+        this.trees[method].notFound = handler
+    }, this)
 
-        layer(req, res, next)
-    }
+    this.fallbackRoots = {}
 }
 
 
 /**
- * Main entry point for router.
- * Serve function should be passed in as the callback for http.createServer()
+ * Function for defining a callback for a named param.
  *
- * @param {ClientRequest} req
- * @param {ServerResponse} res
+ * The callback runs once per request when the matched route has the param,
+ * after the middleware and before the route's handler. Callbacks of a router
+ * also run for the routes of its groups, before those of the sub-router.
+ *
+ * callback must be of format:
+ *
+ * function (req, res, next, value, name) {
+ *   // load or check the value, then
+ *   next()
+ * }
+ *
+ * A result passed as next(null, result), or returned from an async callback,
+ * is stored in req.resolved[name]. Errors go to the error handlers as usual.
+ *
+ * @param {string} name
+ * @param {function} callback
  *
  */
-Router.prototype.serve = function (req, res) {
-    request(req, res)
-    response(req, res)
+Router.prototype.param = function (name, callback) {
+    if (typeof name != 'string' || !/^\w+$/.test(name)) {
+        throw new Error("param name must be made of word characters")
+    }
+    if (typeof callback != 'function') {
+        throw new Error("function required to define a param callback")
+    }
 
-    var root = this.trees[req.method]
+    this.paramHandlers[name] = (this.paramHandlers[name] || []).concat(callback)
+}
 
-    if (root) {
-        var { params, handler, stack } = root.buildStack(req.path, req.method)
-        req.params = params
 
-        if (handler != null) {
-            this.walkStack(req, res, stack)
+/**
+ * Function lists every route on the router, including those of its groups.
+ *
+ * Each route is of format:
+ * {
+ *   method:        string
+ *   path:          full path, including group prefixes
+ *   params:        array of param and wildcard names
+ *   middleware:    number of middleware run before the handler
+ *   version:       version the route is for, null if it has none
+ * }
+ *
+ * @return {array}
+ *
+ */
+Router.prototype.routes = function () {
+    var routes = []
 
-        } else {
-            notFound(req, res)
-        }
-    }
+    routedMethods(this).forEach(function (method) {
+        findRoot(method, this).routes(method).forEach(function (route) {
+            routes.push({
+                method: method,
+                path: route.path,
+                params: variableNames(route.path),
+                middleware: route.middleware,
+                version: route.version
+            })
+        })
+    }, this)
 
-    return
+    return routes
 }
 
+
 /**
- * Utility function for adding middleware to router.
+ * Function renders the radix tree of each method, or of only the method given.
+ * Same layout as the structure diagram in the README, the caller prints it.
  *
- * @param {string} method
- * @param {function} middleware
- * @param {this} _this
+ * @param {string} method       | optional
+ * @return {string}
  *
  */
-function addMiddleware(method, middleware, _this) {
-    var node = _this.trees[method]
+Router.prototype.printTree = function (method) {
+    var methods = routedMethods(this)
 
-    if (typeof node == 'undefined') {
-        node = new Node()
-        _this.trees[method] = node
-    }
+    var output = methods.filter(function (routed) {
+        return method == null || routed == method
+    }).map(function (method) {
+        var rows = [['Path', 'Type', 'Priority']].concat(findRoot(method, this).print(method))
 
-    node.middleware = node.middleware.concat(middleware)
+        // pad path and type columns to their longest value
+        var widths = [0, 1].map(function (column) {
+            return rows.reduce(function (max, row) {
+                return Math.max(max, row[column].length)
+            }, 0) + 4
+        })
+
+        return method + '\n' + rows.map(function (row) {
+            return row[0].padEnd(widths[0]) + row[1].padEnd(widths[1]) + row[2]
+        }).join('\n')
+    }, this).join('\n\n')
+
+    return output
 }
 
 
+/**
+ * Function sets up a catch all route for serving static files.
+ *
+ * Path needs to be of the format: /path/for/files/*filepath
+ *
+ * The variable filepath will be passed into the serveStatic function
+ * and will get file defined by path in filepath variable.
+ *
+ * To change the default static file directory from /public change
+ * directory variable definition in static.js
+ *
+ * @param {string} path
+ *
+ */
+Router.prototype.static = function (path) {
+    if (path.substr(path.length - 10) != '/*filepath') {
+        throw new Error("Path for serving files must end in /*filepath")
+    }
+
+    this.get(path, function (req, res, next) {
+        serveStatic(req, res, next)
+    })
+}
+
+
+/**
+ * Function matches a path in the router's tree for a method.
+ *
+ * Groups call it on their sub-router for every request, so the sub-router's
+ * current routes are used. Arguments after method are passed on to the
+ * tree's buildStack.
+ *
+ * @param {string} path
+ * @param {string} method
+ * @param {...*} args
+ * @return {object}
+ *
+ */
+Router.prototype.buildStack = function (path, method, ...args) {
+    return this.tree(method).buildStack(path, method, ...args)
+}
+
+
+/**
+ * Function gets the root node of the router's tree for a method.
+ * A method without a tree gets one that is not kept, holding only
+ * what the router defined for every method.
+ *
+ * @param {string} method
+ * @return {Node}
+ *
+ */
+Router.prototype.tree = function (method) {
+    return findRoot(method, this)
+}
+
+
+/**
+ * Function performs the functions in the execution stack in order.
+ *
+ * Also defines function next() locally and passes it into middleware and handlers
+ *
+ * Calling next(err), throwing, or returning a promise that rejects skips the
+ * rest of the execution stack and runs the error stack instead. Error handlers
+ * are called with (err, req, res, next) and can pass the error on with next().
+ *
+ * @param {ClientRequest} req
+ * @param {ServerResponse} res
+ * @param {array} stack
+ * @param {array} errorStack    | optional
+ *
+ */
+Router.prototype.walkStack = function (req, res, stack, errorStack = []) {
+    var error = null
+
+    next()
+
+    function next(err) {
+        if (err != null) {
+            error = err
+        }
+
+        var layer = error == null ? stack.shift() : errorStack.shift()
+
+        if (!layer) {
+            // error was not handled, fall back to the default response
+            if (error != null) {
+                serverError(req, res, error)
+            }
+
+            return
+        }
+
+        var result
+
+        try {
+            result = error == null ? layer(req, res, next) : layer(error, req, res, next)
+        } catch (err) {
+            return next(err)
+        }
+
+        // async middleware and handlers return a promise
+        // wait on it so a rejection is sent down the error stack instead of left unhandled
+        if (result && typeof result.then == 'function') {
+            result.then(null, function (err) {
+                next(err == null ? new Error('Promise rejected without a reason') : err)
+            })
+        }
+    }
+}
+
+
+/**
+ * Main entry point for router.
+ * Serve function should be passed in as the callback for http.createServer()
+ *
+ * Requests without a route are answered with a 404, or with a 405 and an
+ * Allow header when the path has a route under another method.
+ * OPTIONS requests without a route of their own get a 204 with the Allow header.
+ * A path whose param or wildcard value is not valid percent-encoding gets a 400.
+ *
+ * Paths are cleaned before routing, and a route only matched by adding
+ * or removing a trailing slash is handled according to the trailingSlash option.
+ *
+ * Routes added with versions are picked by the semver range in the
+ * Accept-Version header, or else by the version of a vendor media type
+ * in Accept, application/vnd.example.v2+json or application/vnd.example+json; version=2.
+ * Without either the newest version is used. req.version holds the version
+ * of the route. A path that has no version in range is answered with a 400,
+ * or a 406 when the version came from Accept. A version that is not a valid
+ * range is answered with a 400 by paths with versions and ignored by the rest.
+ * Responses from paths with versions have Vary: Accept-Version, Accept.
+ *
+ * @param {ClientRequest} req
+ * @param {ServerResponse} res
+ *
+ */
+Router.prototype.serve = function (req, res) {
+    request(req, res)
+    response(req, res)
+
+    try {
+        var path = cleanPath(req.path)
+        var host = matchHost(req, this)
+        var version = requestVersion(req)
+
+        // the version is only read once a route with versions is reached
+        var range = version != null ? versionRange(version.text) : null
+        var match = findRoute(req.method, path, host, range, this)
+
+        if (match.handler != null) {
+            var location = null
+
+            if (path != req.path && this.options.cleanPath == 'redirect') {
+                location = path
+            }
+
+            if (match.trailingSlash != null && this.options.trailingSlash == 'redirect') {
+                location = trailingSlashPath(path, match.trailingSlash)
+            }
+
+            if (location != null) {
+                redirect(req, res, location + (parser(req.url).search || ''))
+                return
+            }
+        }
+
+        // from here on the request is routed by its clean path
+        req.path = path
+        req.params = match.params
+        req.baseUrl = match.baseUrl
+        req.hostParams = host != null ? host.params : {}
+        req.version = match.version
+        req.resolved = {}
+
+        // caches have to keep a response per version when the version picked the route
+        if (match.version != null || match.versions != null) {
+            vary(res, 'Accept-Version')
+            vary(res, 'Accept')
+        }
+
+        if (match.handler != null) {
+            this.walkStack(req, res, match.stack, match.errorStack)
+            return
+        }
+
+        // a param or wildcard value in the path is not valid percent-encoding
+        if (match.malformed) {
+            notFound(req, res, 400, 'Malformed percent-encoding in path')
+            return
+        }
+
+        // the path has a route with versions but the version asked for is not a range
+        if (match.versions != null && semver.range(version.text) == null) {
+            notFound(req, res, 400, `Invalid version ${version.text}`)
+            return
+        }
+
+        // the path has a route but none of its versions is in range
+        if (match.versions != null) {
+            notFound(req, res, version.header == 'accept' ? 406 : 400,
+                `No version of ${req.path} matches ${version.text}, available versions: ${match.versions.join(', ')}`)
+            return
+        }
+
+        // no route for this method, answer 405 if the path is routed under any other method
+        var allowed = allowedMethods(req.path, host, range, this)
+
+        // OPTIONS without an explicit handler is answered from the route trees
+        if (req.method == 'OPTIONS') {
+            if (allowed.length > 0) {
+                if (!allowed.includes('OPTIONS')) {
+                    allowed.push('OPTIONS')
+                }
+
+                res.statusCode = 204
+                res.setHeader('Allow', allowed.join(', '))
+                res.end()
+                return
+            }
+        }
+
+        if (allowed.length > 0) {
+            res.setHeader('Allow', allowed.join(', '))
+            notFound(req, res, 405, 'Method Not Allowed')
+
+        } else if (match.notFound != null) {
+            this.walkStack(req, res, match.stack.concat(match.notFound), match.errorStack)
+
+        } else {
+            notFound(req, res)
+        }
+    } catch (err) {
+        serverError(req, res, err)
+    }
+
+    return
+}
+
+/**
+ * Utility function for splitting the handlers given for a route.
+ * Arrays are flattened, a plain object first holds the route's options,
+ * the last function is the handler and the rest are its middleware.
+ *
+ * @param {function|array} handlers
+ * @return {object}             | { options, middleware, handler }
+ *
+ */
+function routeHandlers(handlers) {
+    handlers = [].concat(handlers).flat(Infinity)
+
+    var first = handlers[0]
+    var options = handlers.length > 1 && first != null && Object.getPrototypeOf(first) === Object.prototype ? handlers.shift() : {}
+    var handler = handlers.pop()
+
+    handlers.forEach(function (middleware) {
+        if (typeof middleware != 'function') {
+            throw new Error('Route middleware must be functions')
+        }
+    })
+
+    return { options: options, middleware: handlers, handler: handler }
+}
+
+/**
+ * Utility function for getting the root node of a method's tree.
+ * Creates the tree if it does not exist yet, from the method's fallback root if it has one.
+ *
+ * @param {string} method
+ * @param {this} _this
+ * @return {Node}
+ *
+ */
+function getRoot(method, _this) {
+    if (typeof _this.trees[method] == 'undefined') {
+        _this.trees[method] = _this.fallbackRoots[method] || newRoot(method, _this)
+        delete _this.fallbackRoots[method]
+    }
+
+    return _this.trees[method]
+}
+
+/**
+ * Utility function for finding the root node of a method's tree without creating it.
+ * A method without a tree gets a fallback root, so the router's middleware and
+ * groups for every method still apply to it. Fallback roots are kept until
+ * middleware, a not found handler or a group for every method is added.
+ *
+ * @param {string} method
+ * @param {this} _this
+ * @return {Node}
+ *
+ */
+function findRoot(method, _this) {
+    if (_this.trees[method] != null) {
+        return _this.trees[method]
+    }
+
+    if (_this.fallbackRoots[method] == null) {
+        _this.fallbackRoots[method] = newRoot(method, _this)
+    }
+
+    return _this.fallbackRoots[method]
+}
+
+/**
+ * Utility function for building the root node of a tree for a method.
+ * It starts with what the router defined for every method.
+ *
+ * @param {string} method
+ * @param {this} _this
+ * @return {Node}
+ *
+ */
+function newRoot(method, _this) {
+    var root = new Node()
+    root.middleware = _this.middleware
+    root.errorHandlers = _this.errorHandlers
+    root.notFound = _this.notFoundHandler
+    root.paramHandlers = _this.paramHandlers
+    root.caseSensitive = _this.options.caseSensitive
+    root.method = method
+
+    _this.pathMiddleware.forEach(function (entry) {
+        root.addMiddleware(entry.path, entry.type, entry.middleware)
+    })
+
+    _this.groups.forEach(function (group) {
+        if (group.method == '*') {
+            root.addRoute(group.prefix, group.router, true, [], group.version)
+        }
+    })
+
+    return root
+}
+
+/**
+ * Utility function for listing the methods the router has routes under,
+ * including the methods of sub-routers grouped for every method.
+ *
+ * @param {this} _this
+ * @return {array}
+ *
+ */
+function routedMethods(_this) {
+    var methods = Object.keys(_this.trees)
+
+    _this.groups.forEach(function (group) {
+        if (group.method != '*') return
+
+        routedMethods(group.router).forEach(function (method) {
+            if (!methods.includes(method)) {
+                methods.push(method)
+            }
+        })
+    })
+
+    return methods
+}
+
+/**
+ * Utility function for sorting out the arguments of use and onError.
+ * Method and path are both optional, a path starts with /.
+ *
+ * @param {string|function} method
+ * @param {string|function} path
+ * @param {function} middleware
+ * @return {array}              | [method, path, middleware]
+ *
+ */
+function middlewareArgs(method, path, middleware) {
+    if (typeof method == 'function') {
+        return ['*', null, method]
+    }
+
+    if (typeof path == 'function') {
+        return method[0] == '/' ? ['*', method, path] : [method, null, path]
+    }
+
+    return [method, path, middleware]
+}
+
+/**
+ * Utility function for adding middleware to router.
+ *
+ * Middleware for * is attached to every existing tree
+ * and kept on the router for trees created later.
+ * Without a path, or for /, it is attached to the root.
+ *
+ * @param {string} method
+ * @param {string} path         | null for the whole router
+ * @param {string} type         | middleware or errorHandlers
+ * @param {function} middleware
+ * @param {this} _this
+ *
+ */
+function addMiddleware(method, path, type, middleware, _this) {
+    if (path == '/') {
+        path = null
+    }
+
+    if (path != null && path[0] != '/') {
+        throw new Error('Path must begin with /')
+    }
+
+    if (method == '*') {
+        // tried on an empty tree first so a bad path throws before any tree is changed
+        if (path != null) {
+            new Node().addMiddleware(path, type, middleware)
+        }
+
+        Object.keys(_this.trees).forEach(function (method) {
+            addMiddleware(method, path, type, middleware, _this)
+        })
+
+        // kept only once added so a path a tree refused is not given to trees created later
+        if (path == null) {
+            _this[type] = _this[type].concat(middleware)
+        } else {
+            _this.pathMiddleware.push({ path: path, type: type, middleware: middleware })
+        }
+
+        _this.fallbackRoots = {}
+        return
+    }
+
+    var node = getRoot(method, _this)
+
+    if (path == null) {
+        node[type] = node[type].concat(middleware)
+    } else {
+        node.addMiddleware(path, type, middleware)
+    }
+}
+
+/**
+ * Utility function for finding the host a request is for from its Host header.
+ *
+ * @param {ClientRequest} req
+ * @param {this} _this
+ * @return {object|null}        | { router, params }, null if no host matches
+ *
+ */
+function matchHost(req, _this) {
+    // the port is not part of the host's name
+    var name = (req.headers.host || '').toLowerCase().replace(/:\d+$/, '')
+
+    for (var i = 0; i < _this.hosts.length; i++) {
+        var host = _this.hosts[i]
+        var values = host.regex.exec(name)
+
+        if (values == null) {
+            continue
+        }
+
+        var params = {}
+
+        host.names.forEach(function (name, i) {
+            params[name] = values[i + 1]
+        })
+
+        return { router: host.router, params: params }
+    }
+
+    return null
+}
+
+/**
+ * Utility function for reading the version a request asks for.
+ * Accept-Version holds a semver range, without it the version
+ * of the first vendor media type in Accept that has one is used.
+ *
+ * @param {ClientRequest} req
+ * @return {object|null}        | { text, header }
+ *
+ */
+function requestVersion(req) {
+    var text = req.headers['accept-version']
+    var header = 'accept-version'
+
+    if (text == null) {
+        header = 'accept'
+
+        // application/vnd.example.v2+json or application/vnd.example+json; version=2
+        text = (req.headers.accept || '').split(',').map(function (type) {
+            var match = /^\s*[\w.+-]+\/vnd\.[^;]*?\.v(\d[\d.]*)(?=[+;\s]|$)/i.exec(type) ||
+                /^\s*[\w.+-]+\/vnd\.[^;]*;(?:.*;)?\s*version=([^;\s]+)/i.exec(type)
+
+            return match ? match[1] : null
+        }).find(function (version) {
+            return version != null
+        })
+
+        if (text == null) {
+            return null
+        }
+    }
+
+    return { text: text, header: header }
+}
+
+/**
+ * Utility function for the test of the versions a request accepts.
+ * The range is compiled the first time a version is tested,
+ * a range that is not valid has no version in it.
+ *
+ * @param {string} text
+ * @return {function}
+ *
+ */
+function versionRange(text) {
+    var test = null
+
+    return function (version) {
+        if (test == null) {
+            test = semver.range(text) || function () { return false }
+        }
+
+        return test(version)
+    }
+}
+
+/**
+ * Utility function for building the stack for a path under a method.
+ * A matched host's router builds it after this router's middleware,
+ * starting with the host params.
+ *
+ * @param {string} path
+ * @param {string} method
+ * @param {object} host         | matched host or null
+ * @param {function} range      | versions the request accepts or null
+ * @param {this} _this
+ * @return {object}
+ *
+ */
+function buildStack(path, method, host, range, _this) {
+    if (host == null) {
+        return _this.buildStack(path, method, [], [], null, {}, {}, range)
+    }
+
+    var root = _this.tree(method)
+
+    return host.router.buildStack(path, method, root.middleware, root.errorHandlers, root.notFound, host.params, root.paramHandlers, range)
+}
+
+/**
+ * Utility function for matching a path in the tree for a method.
+ *
+ * HEAD requests without a route of their own use the GET route,
+ * node drops the body of responses to HEAD requests.
+ *
+ * @param {string} method
+ * @param {string} path
+ * @param {object} host         | matched host or null
+ * @param {function} range      | versions the request accepts or null
+ * @param {this} _this
+ * @return {object}
+ *
+ */
+function findRoute(method, path, host, range, _this) {
+    var match = buildStack(path, method, host, range, _this)
+
+    if (match.handler == null && method == 'HEAD') {
+        match = buildStack(path, 'GET', host, range, _this)
+    }
+
+    // strict routing does not accept a trailing slash fix-up, the route is removed from the stack
+    if (match.handler != null && match.trailingSlash != null && _this.options.trailingSlash == 'strict') {
+        match.handler = null
+        match.stack = match.middleware
+        match.trailingSlash = null
+    }
+
+    return match
+}
+
+/**
+ * Utility function for finding every method with a handler for a path.
+ * The path * asks about the server as a whole so every routed method is allowed.
+ *
+ * @param {string} path
+ * @param {object} host         | matched host or null
+ * @param {function} range      | versions the request accepts or null
+ * @param {this} _this
+ * @return {array}
+ *
+ */
+function allowedMethods(path, host, range, _this) {
+    var router = host != null ? host.router : _this
+
+    var allowed = routedMethods(router).filter(function (method) {
+        // skip trees that only hold middleware
+        if (path == '*') {
+            return findRoot(method, router).routes(method).length > 0
+        }
+
+        return findRoute(method, path, host, range, _this).handler != null
+    })
+
+    // GET routes also answer HEAD
+    if (allowed.includes('GET') && !allowed.includes('HEAD')) {
+        allowed.push('HEAD')
+    }
+
+    return allowed
+}
+
+/**
+ * Utility function for building the path a trailing slash fix-up redirects to.
+ *
+ * @param {string} path         | clean path
+ * @param {string} fix          | add or remove
+ * @return {string}
+ *
+ */
+function trailingSlashPath(path, fix) {
+    return fix == 'add' ? path + '/' : path.substr(0, path.length - 1)
+}
+
+/**
+ * Utility function for listing the names of the params and wildcards in a path.
+ *
+ * @param {string} path
+ * @return {array}
+ *
+ */
+function variableNames(path) {
+    var names = []
+
+    path.replace(VARIABLE, function (variable, slash, param, constraint, optional, wildcard) {
+        names.push(param || wildcard)
+    })
+
+    return names
+}
+
+/**
+ * Utility function for finding the path of a named route.
+ * Searches the router's own routes first, then its groups.
+ *
+ * @param {string} name
+ * @param {this} _this
+ * @return {string|null}
+ *
+ */
+function namedPath(name, _this) {
+    if (_this.names[name] != null) {
+        return _this.names[name]
+    }
+
+    for (var i = 0; i < _this.groups.length; i++) {
+        var path = namedPath(name, _this.groups[i].router)
+
+        if (path != null) {
+            return _this.groups[i].prefix.replace(/\/$/, '') + path
+        }
+    }
+
+    return null
+}
+
+
+/**
+ * Body parsing middleware, router.use(Router.json()) and router.use(Router.urlencoded()).
+ * See body.js for options.
+ */
+Router.json = body.json
+Router.urlencoded = body.urlencoded
+
+/**
+ * Multipart form middleware, router.use(Router.multipart()).
+ * See multipart.js for options.
+ */
+Router.multipart = multipart
+
+
 module.exports = Router
\ No newline at end of file
@@ -1,6 +1,9 @@
 /**
  * Generic function used to extend response object for typical response.
  *
+ * A Content-Type already set on the response is kept, such as the one
+ * chosen by res.format.
+ *
  * @param {number} status
  * @param {string|object} data
  *
@@ -22,6 +25,15 @@ module.exports = function (status, data) {
     }
 
     this.statusCode = status || 200
-    this.setHeader('Content-Type', type)
+
+    if (!this.hasHeader('Content-Type')) {
+        this.setHeader('Content-Type', type)
+    }
+
+    // set explicitly so responses to HEAD requests still report the length
+    if (typeof data === 'string') {
+        this.setHeader('Content-Length', Buffer.byteLength(data))
+    }
+
     this.end(data)
 }
\ No newline at end of file
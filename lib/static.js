@@ -9,6 +9,9 @@ const STATIC_BASE_PATH = path.resolve(directory)
 /**
  * Function finds file and streams content to response.
  *
+ * HEAD requests get the same headers, including Content-Length,
+ * without the file being read.
+ *
  * @param {ClientRequest} req
  * @param {ServerResponse} res
  *
@@ -17,18 +20,51 @@ module.exports = function (req, res) {
     var filepath = req.params.filepath
 
     var fileLocation = path.join(STATIC_BASE_PATH, String(filepath))
-    var extension = filepath.substr(filepath.lastIndexOf('.') + 1)
+    var extension = filepath.substr(filepath.lastIndexOf('.') + 1).toLowerCase()
 
-    var stream = fs.createReadStream(fileLocation)
+    // the decoded path can hold %2e%2e, which must not lead out of the base path
+    if (!fileLocation.startsWith(STATIC_BASE_PATH + path.sep)) {
+        return fileNotFound(res)
+    }
 
-    stream.on('error', function (error) {
-        res.statusCode = 404
-        res.setHeader('Content-Type', 'text/plain')
-        res.end("File Not Found")
-    })
+    fs.stat(fileLocation, function (error, stats) {
+        if (error || !stats.isFile()) {
+            return fileNotFound(res)
+        }
+
+        res.setHeader('Content-Type', mimeTypes[extension] || 'application/octet-stream')
+        res.setHeader('Content-Length', stats.size)
+        res.statusCode = 200
+
+        if (req.method == 'HEAD') {
+            res.end()
+            return
+        }
 
-    res.setHeader('Content-Type', mimeTypes[extension])
-    res.statusCode = 200
-    stream.pipe(res)
+        var stream = fs.createReadStream(fileLocation)
+
+        stream.on('error', function (error) {
+            res.removeHeader('Content-Length')
+            fileNotFound(res)
+        })
+
+        stream.pipe(res)
+    })
 }
 
+/**
+ * Function for the response when a file can not be read.
+ *
+ * @param {ServerResponse} res
+ *
+ */
+function fileNotFound(res) {
+    if (res.headersSent) {
+        res.destroy()
+        return
+    }
+
+    res.statusCode = 404
+    res.setHeader('Content-Type', 'text/plain')
+    res.end("File Not Found")
+}
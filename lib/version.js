@@ -0,0 +1,190 @@
+/**
+ * Versions are MAJOR.MINOR.PATCH numbers, 1 and 1.2 are read as 1.0.0 and 1.2.0.
+ *
+ * Ranges follow semver:
+ * 1.2.3, =1.2.3        exactly 1.2.3
+ * 1.2, 1.2.x           any 1.2 version
+ * 1, 1.x, ^1.2.3       1.2.3 up to but not including 2.0.0
+ * ~1.2.3               1.2.3 up to but not including 1.3.0
+ * >=1.2 <2, >1, <=3    comparisons, all of them have to hold
+ * 1 || 3               either range
+ * *, x                 any version
+ */
+const PARTIAL = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?$/
+const COMPARATOR = /^(\^|~|>=|<=|>|<|=)?\s*(.*)$/
+
+
+/**
+ * Function parses a version into its numbers.
+ *
+ * @param {string} version
+ * @return {array|null}         | [major, minor, patch], null if it is not a version
+ *
+ */
+function parse(version) {
+    var numbers = partial(String(version).trim())
+
+    if (numbers == null || numbers.length == 0) {
+        return null
+    }
+
+    while (numbers.length < 3) {
+        numbers.push(0)
+    }
+
+    return numbers
+}
+
+/**
+ * Function compares two parsed versions.
+ *
+ * @param {array} a
+ * @param {array} b
+ * @return {number}             | negative if a is older than b, 0 if equal, positive if newer
+ *
+ */
+function compare(a, b) {
+    for (var i = 0; i < 3; i++) {
+        if (a[i] != b[i]) {
+            return a[i] - b[i]
+        }
+    }
+
+    return 0
+}
+
+/**
+ * Function compiles a range into a test for parsed versions.
+ *
+ * @param {string} text
+ * @return {function|null}      | null if the range is not valid
+ *
+ */
+function range(text) {
+    var alternatives = String(text).split('||').map(function (alternative) {
+        var comparators = alternative.trim().replace(/(\^|~|>=|<=|>|<|=)\s+/g, '$1').split(/\s+/)
+
+        return comparators.filter(function (comparator) {
+            return comparator.length > 0
+        }).map(bounds)
+    })
+
+    var valid = alternatives.every(function (comparators) {
+        return comparators.every(function (bound) { return bound != null })
+    })
+
+    if (!valid) {
+        return null
+    }
+
+    return function (version) {
+        return alternatives.some(function (comparators) {
+            return comparators.every(function (bound) {
+                return (bound.lower == null || compare(version, bound.lower) >= 0) &&
+                    (bound.upper == null || compare(version, bound.upper) < 0)
+            })
+        })
+    }
+}
+
+/**
+ * Function turns a comparator into the versions it allows,
+ * from lower (included) up to upper (left out).
+ *
+ * @param {string} comparator
+ * @return {object|null}        | { lower, upper }, either can be null for no bound
+ *
+ */
+function bounds(comparator) {
+    var match = COMPARATOR.exec(comparator)
+    var operator = match[1] || '='
+    var numbers = partial(match[2])
+
+    if (numbers == null) {
+        return null
+    }
+
+    // * or x on its own allows any version
+    if (numbers.length == 0) {
+        return operator == '<' || operator == '>' ? { lower: [0, 0, 0], upper: [0, 0, 0] } : { lower: null, upper: null }
+    }
+
+    var lower = fill(numbers)
+
+    // the version after the last number given, 1.2 is followed by 1.3.0
+    var next = bump(numbers, numbers.length - 1)
+
+    switch (operator) {
+        case '=':
+            return { lower: lower, upper: next }
+        case '>=':
+            return { lower: lower, upper: null }
+        case '>':
+            return { lower: next, upper: null }
+        case '<':
+            return { lower: null, upper: lower }
+        case '<=':
+            return { lower: null, upper: next }
+        case '~':
+            return { lower: lower, upper: bump(numbers, Math.min(1, numbers.length - 1)) }
+        case '^':
+            // changes are allowed to the right of the first number that is not 0
+            var first = numbers.findIndex(function (number) { return number != 0 })
+            return { lower: lower, upper: bump(numbers, first < 0 ? numbers.length - 1 : first) }
+    }
+}
+
+/**
+ * Function reads the numbers of a partial version, stopping at the first wildcard.
+ *
+ * @param {string} text
+ * @return {array|null}         | null if it is not a partial version
+ *
+ */
+function partial(text) {
+    var match = PARTIAL.exec(text)
+
+    if (match == null) {
+        return null
+    }
+
+    var numbers = []
+
+    for (var i = 1; i <= 3 && match[i] != null && /^\d+$/.test(match[i]); i++) {
+        numbers.push(Number(match[i]))
+    }
+
+    return numbers
+}
+
+/**
+ * Function pads a partial version with zeros.
+ *
+ * @param {array} numbers
+ * @return {array}
+ *
+ */
+function fill(numbers) {
+    return numbers.concat([0, 0, 0]).slice(0, 3)
+}
+
+/**
+ * Function increments the number at index and zeros the ones after it.
+ *
+ * @param {array} numbers
+ * @param {number} index
+ * @return {array}
+ *
+ */
+function bump(numbers, index) {
+    var version = fill(numbers.slice(0, index + 1))
+    version[index]++
+
+    return version
+}
+
+module.exports = {
+    parse: parse,
+    compare: compare,
+    range: range
+}
\ No newline at end of file
@@ -0,0 +1,130 @@
+var test = require('node:test')
+var assert = require('node:assert')
+var Router = require('../index')
+
+/**
+ * Function creates a handler that can be told apart by its name.
+ *
+ * @param {string} name
+ * @return {function}
+ *
+ */
+function handler(name) {
+    var fn = function () {}
+    Object.defineProperty(fn, 'name', { value: name })
+
+    return fn
+}
+
+/**
+ * Function finds the handler and params a GET request for path is routed to.
+ *
+ * @param {Router} router
+ * @param {string} path
+ * @return {object}
+ *
+ */
+function match(router, path) {
+    var found = router.buildStack(path, 'GET')
+
+    return {
+        handler: found.handler != null ? found.handler.name : null,
+        params: found.params
+    }
+}
+
+test('static paths take precedence over params and params over wildcards', function () {
+    var router = new Router()
+    router.get('/users/new', handler('new'))
+    router.get('/users/:id', handler('user'))
+    router.get('/users/*rest', handler('rest'))
+
+    assert.deepStrictEqual(match(router, '/users/new'), { handler: 'new', params: {} })
+    assert.deepStrictEqual(match(router, '/users/42'), { handler: 'user', params: { id: '42' } })
+    assert.deepStrictEqual(match(router, '/users/42/posts'), { handler: 'rest', params: { rest: '/42/posts' } })
+})
+
+test('a dead end in a static branch backtracks to the param', function () {
+    var router = new Router()
+    router.get('/users/new/edit', handler('edit'))
+    router.get('/users/:id/posts', handler('posts'))
+
+    assert.deepStrictEqual(match(router, '/users/new/posts'), { handler: 'posts', params: { id: 'new' } })
+    assert.deepStrictEqual(match(router, '/users/new/edit'), { handler: 'edit', params: {} })
+})
+
+test('a dead end in a param branch backtracks to the wildcard', function () {
+    var router = new Router()
+    router.get('/files/:name/info', handler('info'))
+    router.get('/files/*path', handler('file'))
+
+    assert.deepStrictEqual(match(router, '/files/a/info'), { handler: 'info', params: { name: 'a' } })
+    assert.deepStrictEqual(match(router, '/files/a/b'), { handler: 'file', params: { path: '/a/b' } })
+})
+
+test('a param takes the shortest value the rest of the path matches with', function () {
+    var router = new Router()
+    router.get('/img/:name.:ext', handler('img'))
+
+    assert.deepStrictEqual(match(router, '/img/archive.tar.gz'), { handler: 'img', params: { name: 'archive', ext: 'tar.gz' } })
+})
+
+test('a removed route can be added again', function () {
+    var router = new Router()
+    router.get('/blog/:post', handler('post'))
+    router.get('/blog/:post/edit', handler('edit'))
+
+    router.remove('GET', '/blog/:post')
+    assert.strictEqual(match(router, '/blog/hello').handler, null)
+    assert.strictEqual(match(router, '/blog/hello/edit').handler, 'edit')
+
+    router.get('/blog/:post', handler('again'))
+    assert.deepStrictEqual(match(router, '/blog/hello'), { handler: 'again', params: { post: 'hello' } })
+
+    router.remove('GET', '/blog/:post/edit')
+    router.remove('GET', '/blog/:post')
+    router.get('/blog/:slug', handler('slug'))
+    assert.deepStrictEqual(match(router, '/blog/hello'), { handler: 'slug', params: { slug: 'hello' } })
+
+    assert.throws(function () {
+        router.remove('GET', '/blog/:post')
+    }, /No route registered/)
+})
+
+test('a value that fails a constraint falls through to the next param', function () {
+    var router = new Router()
+    router.get('/users/:id(\\d+)', handler('id'))
+    router.get('/users/:code([a-z]+-\\d+)', handler('code'))
+    router.get('/users/:slug', handler('slug'))
+
+    assert.deepStrictEqual(match(router, '/users/42'), { handler: 'id', params: { id: '42' } })
+    assert.deepStrictEqual(match(router, '/users/ab-12'), { handler: 'code', params: { code: 'ab-12' } })
+    assert.deepStrictEqual(match(router, '/users/bob'), { handler: 'slug', params: { slug: 'bob' } })
+
+    router.remove('GET', '/users/:id(\\d+)')
+    assert.deepStrictEqual(match(router, '/users/42'), { handler: 'slug', params: { slug: '42' } })
+})
+
+test('a value that fails every constraint is not found', function () {
+    var router = new Router()
+    router.get('/posts/:id(\\d+)', handler('post'))
+
+    assert.strictEqual(match(router, '/posts/abc').handler, null)
+})
+
+test('constraints test the decoded value', function () {
+    var router = new Router()
+    router.get('tag', '/tags/:tag([a-z ]+)', handler('tag'))
+
+    assert.deepStrictEqual(match(router, '/tags/big%20news'), { handler: 'tag', params: { tag: 'big news' } })
+    assert.strictEqual(router.url('tag', { tag: 'big news' }), '/tags/big%20news')
+})
+
+test('params without constraints can not share a segment', function () {
+    var router = new Router()
+    router.get('/users/:id', handler('id'))
+
+    assert.throws(function () {
+        router.get('/users/:name', handler('name'))
+    }, /conflicts/)
+})